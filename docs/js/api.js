@@ -3,50 +3,188 @@
  * Communicates with Cloudflare Worker backend to get artist locations
  */
 
-import { resolveArtistLocation } from '/shared/location-resolver.js';
+import { resolveArtistLocation, geocodeLocation, setLookupStorage } from '/shared/location-resolver.js';
+import {
+    getCachedLocations,
+    saveCachedLocations,
+    clearLocationCache,
+    getCacheStats,
+    resultStatus,
+    lookupStorage,
+    clearLookupCache
+} from './location-cache.js';
 
 // Configuration - update this with your deployed Worker URL
 const API_CONFIG = {
     // Checks localStorage first, then tries local worker, then falls back to placeholder
     baseUrl: localStorage.getItem('api_base_url') || 'https://where-am-i-listening.YOUR_SUBDOMAIN.workers.dev',
     localWorkerUrl: 'http://localhost:8787',
-    cacheKey: 'artist_locations_cache',
-    cacheExpiry: 30 * 24 * 60 * 60 * 1000 // 30 days in ms
+    overridesKey: 'artist_location_overrides',
+    jobKey: 'artist_location_job', // sessionStorage: worker job to resume
+    batchSize: 50, // Worker resolves at most 50 artists per request
+    maxRateLimitWait: 120, // Seconds; fall back to direct fetch beyond this
+    // Direct mode: resolver sources to run, in order (comma-separated, null for all)
+    resolverSources: localStorage.getItem('resolver_sources')
 };
 
 /**
- * Get cached locations from localStorage
+ * Get cached locations for some artists, or the whole cache
+ * @param {Array<string>|null} names - Artist names, or null for all
+ * @returns {Promise<Object>} Artist name -> location data
  */
-function getCache() {
+function getCache(names = null) {
+    return getCachedLocations(names);
+}
+
+/**
+ * Save locations to the cache without waiting for the write
+ */
+function saveToCache(locations) {
+    saveCachedLocations(locations);
+}
+
+// The resolver's area, capital and geocode lookups share the location cache's storage
+setLookupStorage(lookupStorage);
+
+/**
+ * Get user location overrides from localStorage
+ * @returns {Object} Artist name -> { location_name, location_coord, ... }
+ */
+function getOverrides() {
     try {
-        const cached = localStorage.getItem(API_CONFIG.cacheKey);
-        if (!cached) return {};
-        const data = JSON.parse(cached);
-        // Check if cache is expired
-        if (data.timestamp && Date.now() - data.timestamp > API_CONFIG.cacheExpiry) {
-            localStorage.removeItem(API_CONFIG.cacheKey);
-            return {};
-        }
-        return data.locations || {};
+        return JSON.parse(localStorage.getItem(API_CONFIG.overridesKey)) || {};
     } catch (e) {
         return {};
     }
 }
 
+function saveOverrides(overrides) {
+    localStorage.setItem(API_CONFIG.overridesKey, JSON.stringify(overrides));
+}
+
 /**
- * Save locations to localStorage cache
+ * Check for HTML markup in a name. Override files can come from anyone, so
+ * names with markup are refused rather than stored.
  */
-function saveToCache(locations) {
-    try {
-        const existing = getCache();
-        const merged = { ...existing, ...locations };
-        localStorage.setItem(API_CONFIG.cacheKey, JSON.stringify({
-            timestamp: Date.now(),
-            locations: merged
-        }));
-    } catch (e) {
-        console.warn('Failed to save to cache:', e);
+function containsMarkup(text) {
+    return /[<>]/.test(text);
+}
+
+/**
+ * Check that an override has a plain-text name and a valid [lat, lon] pair
+ */
+function isValidOverride(entry) {
+    if (!entry || typeof entry.location_name !== 'string' || !entry.location_name.trim()) {
+        return false;
+    }
+    if (containsMarkup(entry.location_name)) return false;
+    const coord = entry.location_coord;
+    return Array.isArray(coord) && coord.length === 2 &&
+        Number.isFinite(coord[0]) && Math.abs(coord[0]) <= 90 &&
+        Number.isFinite(coord[1]) && Math.abs(coord[1]) <= 180;
+}
+
+/**
+ * Store a manual location for an artist. Overrides take precedence over the
+ * local cache and the worker/direct resolver.
+ * @param {string} artistName - Artist name as returned by Spotify
+ * @param {Object} location - { location_name, location_coord: [lat, lon] }
+ * @returns {Object} The stored override
+ */
+function setOverride(artistName, location) {
+    const override = {
+        location_name: location.location_name.trim(),
+        location_coord: location.location_coord,
+        source: 'override',
+        confidence: 1,
+        updated_at: Date.now()
+    };
+    if (!isValidOverride(override)) {
+        throw new Error('Override needs a plain-text location name and valid coordinates');
+    }
+
+    const overrides = getOverrides();
+    overrides[artistName] = override;
+    saveOverrides(overrides);
+    return override;
+}
+
+/**
+ * Remove an artist's override, going back to the resolved location
+ */
+function removeOverride(artistName) {
+    const overrides = getOverrides();
+    delete overrides[artistName];
+    saveOverrides(overrides);
+}
+
+/**
+ * Export all overrides as a JSON string
+ */
+function exportOverrides() {
+    return JSON.stringify({ version: 1, overrides: getOverrides() }, null, 2);
+}
+
+/**
+ * Import overrides from a JSON string produced by exportOverrides.
+ * Imported entries replace existing ones for the same artist; invalid
+ * entries are skipped.
+ * @returns {Object} { imported, skipped } counts
+ */
+function importOverrides(json) {
+    const data = JSON.parse(json);
+    const incoming = data?.overrides || {};
+    const overrides = getOverrides();
+    let imported = 0;
+    let skipped = 0;
+
+    for (const [artistName, entry] of Object.entries(incoming)) {
+        if (!artistName.trim() || containsMarkup(artistName) || !isValidOverride(entry)) {
+            skipped++;
+            continue;
+        }
+        overrides[artistName] = {
+            location_name: entry.location_name.trim(),
+            location_coord: entry.location_coord,
+            source: 'override',
+            confidence: 1,
+            updated_at: entry.updated_at || Date.now()
+        };
+        imported++;
+    }
+
+    saveOverrides(overrides);
+    return { imported, skipped };
+}
+
+/**
+ * Split artists into those with a manual override (already resolved) and
+ * the rest, which still need a lookup
+ */
+function applyOverrides(artists) {
+    const overrides = getOverrides();
+    const overridden = [];
+    const remaining = [];
+
+    for (const artist of artists) {
+        if (overrides[artist.name]) {
+            overridden.push({ ...artist, ...overrides[artist.name] });
+        } else {
+            remaining.push(artist);
+        }
     }
+
+    return { overridden, remaining };
+}
+
+/**
+ * Geocode a free-text place for the override editor
+ * @returns {Promise<Object|null>} { location_name, location_coord } or null
+ */
+async function geocodePlace(query) {
+    const geoResult = await geocodeLocation(query);
+    if (!geoResult) return null;
+    return { location_name: geoResult.displayName, location_coord: geoResult.coords };
 }
 
 /**
@@ -102,12 +240,15 @@ async function fetchArtistLocations(artists, onProgress = null) {
         return fetchLocationsDirectly(artists, onProgress);
     }
 
-    const cache = getCache();
-    const results = [];
     const uncached = [];
 
+    // Manual overrides win over cache and worker results
+    const { overridden, remaining } = applyOverrides(artists);
+    const results = [...overridden];
+    const cache = await getCache(remaining.map(artist => artist.name));
+
     // Check cache first
-    for (const artist of artists) {
+    for (const artist of remaining) {
         if (cache[artist.name]) {
             results.push({
                 ...artist,
@@ -136,8 +277,11 @@ async function fetchArtistLocations(artists, onProgress = null) {
         onProgress({ type: 'worker-mode' });
     }
 
-    const newLocations = {};
     let processed = 0;
+    let lastArtist = null;
+    let deferred = [];
+    let retryAfter = 0;
+    const failed = [];
 
     // Build a lookup map for uncached artists by name
     const uncachedByName = {};
@@ -145,66 +289,130 @@ async function fetchArtistLocations(artists, onProgress = null) {
         uncachedByName[artist.name] = artist;
     }
 
-    try {
-        // Send all uncached artists in a single request — the worker
-        // streams results back as NDJSON so cached ones arrive instantly
-        const response = await fetch(`${API_CONFIG.baseUrl}/api/artists`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ artists: uncached.map(a => a.name) })
-        });
+    // Handle one event of a job stream: a location, an artist that failed,
+    // an artist the worker deferred because of its rate limit, or a
+    // progress/done event. Lines from workers that predate typed events
+    // have no type.
+    const handleLine = (data) => {
+        const type = data.type || (data.deferred ? 'deferred' : 'result');
+
+        if (type === 'progress') {
+            if (onProgress) {
+                onProgress({
+                    type: 'progress',
+                    current: processed,
+                    total: uncached.length,
+                    artist: lastArtist,
+                    failed: failed.length
+                });
+            }
+            return;
+        }
+        if (type === 'done') {
+            console.log(`Location job done: ${data.results} found, ${data.errors} failed, ` +
+                `${data.deferred} deferred in ${data.duration_ms}ms`);
+            return;
+        }
 
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status}`);
+        const artistName = data.artist;
+        const artist = uncachedByName[artistName];
+        if (!artist) {
+            if (type === 'error') console.warn('Location stream error:', data.error);
+            return;
         }
 
-        // Read NDJSON stream — each line is one artist result
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-            buffer = lines.pop(); // keep incomplete line in buffer
-
-            for (const line of lines) {
-                if (!line.trim()) continue;
-
-                const data = JSON.parse(line);
-                const artistName = data.artist;
-                const artist = uncachedByName[artistName];
-                if (!artist) continue;
-
-                const locationData = {
-                    location_name: data.location_name || 'Unknown',
-                    location_coord: data.location_coord || null
-                };
-
-                newLocations[artistName] = locationData;
-                results.push({ ...artist, ...locationData });
-                processed++;
-
-                saveToCache({ [artistName]: locationData });
-
-                if (onProgress) {
-                    onProgress({
-                        type: 'progress',
-                        current: processed,
-                        total: uncached.length,
-                        artist: artistName
-                    });
-                }
+        if (type === 'deferred') {
+            deferred.push(artist);
+            retryAfter = Math.max(retryAfter, data.retry_after || 0);
+            return;
+        }
+
+        if (type === 'error') {
+            // Not cached, so asking again looks the artist up again
+            failed.push(artist);
+            results.push(failedResult(artist, data.error));
+            delete uncachedByName[artistName];
+            processed++;
+            lastArtist = artistName;
+            if (onProgress) {
+                onProgress({ type: 'error', artist: artistName, error: data.error });
+            }
+            return;
+        }
+
+        const locationData = {
+            location_name: data.location_name || 'Unknown',
+            location_coord: data.location_coord || null,
+            source: data.source || null,
+            mbid: data.mbid || null,
+            matched_name: data.matched_name || null,
+            area_type: data.area_type || null,
+            confidence: data.confidence ?? null,
+            status: data.status || resultStatus(data),
+            resolved_at: data.resolved_at || new Date().toISOString()
+        };
+
+        results.push({ ...artist, ...locationData });
+        delete uncachedByName[artistName];
+        processed++;
+        lastArtist = artistName;
+
+        saveToCache({ [artistName]: locationData });
+
+        // Older workers don't send progress events
+        if (!data.type && onProgress) {
+            onProgress({
+                type: 'progress',
+                current: processed,
+                total: uncached.length,
+                artist: artistName
+            });
+        }
+    };
+
+    try {
+        // Reconnect to a job left running by a previous page load, so its
+        // lookups aren't started again
+        const activeJob = getActiveJob();
+        if (activeJob) {
+            try {
+                await followWorkerJob(activeJob.id, activeJob.next, handleLine);
+            } catch (e) {
+                console.warn('Could not resume location job:', e);
+                clearActiveJob();
+            }
+            deferred = [];
+        }
+
+        // Split the remaining artists into worker-sized batches. Each batch
+        // becomes a background job on the worker, whose results we stream
+        // as NDJSON (cached ones arrive instantly). Artists the worker
+        // defers (rate limit) go back on the queue.
+        const queue = uncached.filter(artist => uncachedByName[artist.name]);
+        while (queue.length > 0) {
+            const batch = queue.splice(0, API_CONFIG.batchSize);
+            deferred = [];
+            retryAfter = 0;
+
+            const job = await createWorkerJob(batch);
+            if (job.rateLimited) {
+                deferred.push(...batch);
+                retryAfter = job.retryAfter;
+            } else {
+                await followWorkerJob(job.id, 0, handleLine);
+            }
+
+            if (deferred.length > 0) {
+                queue.unshift(...deferred);
+                await waitForRateLimit(retryAfter, onProgress);
             }
         }
 
         if (onProgress) {
             onProgress({
                 type: 'complete',
-                total: results.length
+                total: results.length,
+                failed: failed.map(artist => artist.name)
             });
         }
 
@@ -217,12 +425,197 @@ async function fetchArtistLocations(artists, onProgress = null) {
     }
 }
 
+/**
+ * Result for an artist whose lookup failed. It isn't cached, and its
+ * 'error' status lets the UI offer to retry just the failed artists.
+ */
+function failedResult(artist, message) {
+    return {
+        ...artist,
+        location_name: 'Unknown',
+        location_coord: null,
+        status: 'error',
+        error: message
+    };
+}
+
+/**
+ * Wait out a worker rate limit, reporting a countdown through onProgress.
+ * Throws if the wait is longer than API_CONFIG.maxRateLimitWait so the
+ * caller can fall back to direct fetch instead.
+ * @param {number} seconds - Retry-After value from the worker
+ * @param {Function} onProgress - Optional progress callback
+ */
+async function waitForRateLimit(seconds, onProgress = null) {
+    if (seconds > API_CONFIG.maxRateLimitWait) {
+        throw new Error(`Rate limited for ${seconds}s`);
+    }
+
+    for (let remaining = seconds; remaining > 0; remaining--) {
+        if (onProgress) {
+            onProgress({ type: 'rate-limited', retryAfter: remaining });
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+}
+
+/**
+ * Get the worker job this tab was following, if any
+ * @returns {Object|null} { id, next } where next is the line to resume from
+ */
+function getActiveJob() {
+    try {
+        return JSON.parse(sessionStorage.getItem(API_CONFIG.jobKey));
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveActiveJob(id, next) {
+    sessionStorage.setItem(API_CONFIG.jobKey, JSON.stringify({ id, next }));
+}
+
+function clearActiveJob() {
+    sessionStorage.removeItem(API_CONFIG.jobKey);
+}
+
+/**
+ * What the worker needs to know about an artist: name, Spotify id, and
+ * Spotify genres as language hints (the worker accepts up to 20)
+ */
+function workerArtistPayload(artist) {
+    return {
+        name: artist.name,
+        spotifyId: artist.id || null,
+        genres: (artist.genres || []).slice(0, 20)
+    };
+}
+
+/**
+ * Start a background job on the worker for one batch of artists
+ * @param {Array} artists - Artist objects (at most API_CONFIG.batchSize)
+ * @returns {Promise<Object>} { id } for the new job, or
+ *   { rateLimited: true, retryAfter } when the worker answered 429
+ */
+async function createWorkerJob(artists) {
+    const response = await fetch(`${API_CONFIG.baseUrl}/api/jobs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            artists: artists.map(workerArtistPayload)
+        })
+    });
+
+    if (response.status === 429) {
+        const retryAfter = Number(response.headers.get('Retry-After'));
+        return { rateLimited: true, retryAfter: retryAfter > 0 ? retryAfter : 1 };
+    }
+
+    if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+    }
+
+    const job = await response.json();
+    return { rateLimited: false, id: job.id };
+}
+
+/**
+ * Stream a worker job's results until it's done. The worker closes job
+ * streams periodically, so this reconnects from the last line seen; the
+ * position is kept in sessionStorage so a reloaded tab can resume too.
+ * @param {string} id - Job id
+ * @param {number} from - Index of the first result line to read
+ * @param {Function} onEvent - Called with each parsed event
+ */
+async function followWorkerJob(id, from, onEvent) {
+    let next = from;
+    saveActiveJob(id, next);
+
+    while (true) {
+        const response = await fetch(`${API_CONFIG.baseUrl}/api/jobs/${encodeURIComponent(id)}?from=${next}`);
+        if (!response.ok) {
+            throw new Error(`API error: ${response.status}`);
+        }
+
+        let status = null;
+        await readNdjson(response, (line) => {
+            // The last line of each stream reports the job status
+            if (line.job) {
+                status = line.status;
+                next = line.next;
+                onEvent(line);
+                return;
+            }
+            // Progress events and stream errors aren't stored in the job,
+            // so only result lines count towards the resume position
+            if (line.type !== 'progress' && !(line.type === 'error' && !line.artist)) {
+                next++;
+                saveActiveJob(id, next);
+            }
+            onEvent(line);
+        });
+
+        if (status === 'done') break;
+        if (!status) {
+            throw new Error('Job stream ended unexpectedly');
+        }
+    }
+
+    clearActiveJob();
+}
+
+/**
+ * Read an NDJSON response body, calling onLine with each parsed line
+ */
+async function readNdjson(response, onLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // keep incomplete line in buffer
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            onLine(JSON.parse(line));
+        }
+    }
+}
+
+// Direct lookups in progress, keyed by lowercased artist name, so
+// overlapping loads (e.g. switching source mid-load) share one resolution
+const inFlightLookups = new Map();
+
+/**
+ * Resolve an artist with the shared resolver, joining any lookup already
+ * in progress for the same name
+ */
+function resolveOnce(artist) {
+    const key = artist.name.toLowerCase();
+    if (!inFlightLookups.has(key)) {
+        const lookup = resolveArtistLocation(artist.name, {
+            spotifyId: artist.id,
+            genres: artist.genres,
+            sources: API_CONFIG.resolverSources
+        })
+            .finally(() => inFlightLookups.delete(key));
+        inFlightLookups.set(key, lookup);
+    }
+    return inFlightLookups.get(key);
+}
+
 /**
  * Fetch locations directly from browser (fallback)
  * Uses shared location resolver module with rate-limited queues
  */
 async function fetchLocationsDirectly(artists, onProgress = null) {
-    const cache = getCache();
+    const cache = await getCache(artists.map(artist => artist.name));
+    const overrides = getOverrides();
     const results = [];
 
     // Notify UI that we're using direct mode
@@ -242,7 +635,11 @@ async function fetchLocationsDirectly(artists, onProgress = null) {
             });
         }
 
-        // Check cache first
+        // Manual overrides win, then the cache
+        if (overrides[artist.name]) {
+            results.push({ ...artist, ...overrides[artist.name] });
+            continue;
+        }
         if (cache[artist.name]) {
             results.push({ ...artist, ...cache[artist.name] });
             continue;
@@ -250,29 +647,65 @@ async function fetchLocationsDirectly(artists, onProgress = null) {
 
         try {
             // Use shared resolver (rate-limited internally)
-            const locationData = await resolveArtistLocation(artist.name);
+            const result = await resolveOnce(artist);
+            const locationData = {
+                ...result,
+                status: resultStatus(result),
+                resolved_at: new Date().toISOString()
+            };
 
             saveToCache({ [artist.name]: locationData });
             results.push({ ...artist, ...locationData });
 
         } catch (error) {
             console.warn(`Failed to fetch location for ${artist.name}:`, error);
-            results.push({
-                ...artist,
-                location_name: 'Unknown',
-                location_coord: null
-            });
+            results.push(failedResult(artist, error.message));
+            if (onProgress) {
+                onProgress({ type: 'error', artist: artist.name, error: error.message });
+            }
         }
     }
 
     return results;
 }
 
+/**
+ * Resolve an artist afresh with a trace of every step the resolver took,
+ * for the "Why here?" panel. Uses the worker's /api/explain when a worker
+ * is configured, otherwise the shared resolver. Nothing is cached.
+ * @param {Object} artist - Artist object with name and Spotify id
+ * @returns {Promise<Object>} { result, trace }, plus { override, cached }
+ *   from the worker
+ */
+async function explainArtist(artist) {
+    if (!isWorkerConfigured()) {
+        const { trace, ...result } = await resolveArtistLocation(artist.name, {
+            spotifyId: artist.id,
+            genres: artist.genres,
+            sources: API_CONFIG.resolverSources,
+            explain: true
+        });
+        return { result, trace };
+    }
+
+    const response = await fetch(`${API_CONFIG.baseUrl}/api/explain`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(workerArtistPayload(artist))
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `API error: ${response.status}`);
+    }
+    return response.json();
+}
+
 /**
  * Clear the local cache
  */
-function clearCache() {
-    localStorage.removeItem(API_CONFIG.cacheKey);
+async function clearCache() {
+    await Promise.all([clearLocationCache(), clearLookupCache()]);
 }
 
 /**
@@ -283,13 +716,36 @@ function setApiBaseUrl(url) {
     API_CONFIG.baseUrl = url;
 }
 
+/**
+ * Choose which resolver sources direct mode runs, in order
+ * (e.g. ['musicbrainz', 'wikidata']). Pass null to run them all.
+ */
+function setResolverSources(sources) {
+    const value = sources?.length ? [].concat(sources).join(',') : null;
+    if (value) {
+        localStorage.setItem('resolver_sources', value);
+    } else {
+        localStorage.removeItem('resolver_sources');
+    }
+    API_CONFIG.resolverSources = value;
+}
+
 // Export for ES modules
 export {
     fetchArtistLocations,
     fetchLocationsDirectly,
     clearCache,
     setApiBaseUrl,
-    getCache
+    setResolverSources,
+    getCache,
+    getCacheStats,
+    getOverrides,
+    setOverride,
+    removeOverride,
+    exportOverrides,
+    importOverrides,
+    geocodePlace,
+    explainArtist
 };
 
 // Export for use in inline scripts via window
@@ -298,5 +754,14 @@ window.LocationAPI = {
     fetchLocationsDirectly,
     clearCache,
     setApiBaseUrl,
-    getCache
+    setResolverSources,
+    getCache,
+    getCacheStats,
+    getOverrides,
+    setOverride,
+    removeOverride,
+    exportOverrides,
+    importOverrides,
+    geocodePlace,
+    explainArtist
 };
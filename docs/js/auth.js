@@ -5,7 +5,7 @@
 
 const AUTH_CONFIG = {
     clientId: '931a74d0cca34381b65899b69835b8a0',
-    scopes: ['user-top-read', 'user-library-read'],
+    scopes: ['user-top-read', 'user-library-read', 'user-follow-read', 'playlist-read-private'],
     // Spotify requires HTTPS except for loopback IPs (127.0.0.1, [::1])
     // localhost is NOT allowed - must use 127.0.0.1
     redirectUri: (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')
@@ -133,6 +133,7 @@ export async function handleCallback() {
     sessionStorage.setItem('access_token', tokenData.access_token);
     sessionStorage.setItem('refresh_token', tokenData.refresh_token);
     sessionStorage.setItem('token_expiry', Date.now() + (tokenData.expires_in * 1000));
+    sessionStorage.setItem('token_scope', tokenData.scope || '');
 
     // Clean up
     sessionStorage.removeItem('code_verifier');
@@ -172,6 +173,9 @@ export async function refreshToken() {
 
     sessionStorage.setItem('access_token', tokenData.access_token);
     sessionStorage.setItem('token_expiry', Date.now() + (tokenData.expires_in * 1000));
+    if (tokenData.scope !== undefined) {
+        sessionStorage.setItem('token_scope', tokenData.scope);
+    }
 
     if (tokenData.refresh_token) {
         sessionStorage.setItem('refresh_token', tokenData.refresh_token);
@@ -200,10 +204,20 @@ export async function getValidToken() {
 }
 
 /**
- * Check if user is logged in
+ * Check whether the stored token was granted every scope the app asks for.
+ * Sessions from before a scope was added (or that never recorded their
+ * scopes) don't count, so those users log in again.
+ */
+export function hasRequiredScopes() {
+    const granted = (sessionStorage.getItem('token_scope') || '').split(' ');
+    return AUTH_CONFIG.scopes.every(scope => granted.includes(scope));
+}
+
+/**
+ * Check if user is logged in with a token that has every scope
  */
 export function isLoggedIn() {
-    return sessionStorage.getItem('access_token') !== null;
+    return sessionStorage.getItem('access_token') !== null && hasRequiredScopes();
 }
 
 /**
@@ -213,6 +227,7 @@ export function logout() {
     sessionStorage.removeItem('access_token');
     sessionStorage.removeItem('refresh_token');
     sessionStorage.removeItem('token_expiry');
+    sessionStorage.removeItem('token_scope');
     sessionStorage.removeItem('code_verifier');
     sessionStorage.removeItem('oauth_state');
 }
@@ -223,6 +238,7 @@ window.SpotifyAuth = {
     handleCallback,
     getValidToken,
     isLoggedIn,
+    hasRequiredScopes,
     logout,
     refreshToken
 };
@@ -4,11 +4,18 @@
  */
 
 let globe = null;
+let globeContainer = null;
 let autoRotate = true;
 let rotationTimeout = null;
 
+// Aggregated markers currently shown, plus the draggable pin used by the
+// location override editor (null when the editor is closed)
+let currentLocations = [];
+let draftPin = null;
+let onDraftMove = null;
+
 /**
- * Color based on artist count at location
+ * Color based on artist weight at location
  * Red -> Yellow -> Green ramp
  */
 function getLocationColor(count, maxCount) {
@@ -30,6 +37,40 @@ function getLocationColor(count, maxCount) {
     }
 }
 
+// Human-readable labels for resolver sources
+const SOURCE_LABELS = {
+    'musicbrainz': 'MusicBrainz',
+    'musicbrainz-relationship': 'MusicBrainz (person link)',
+    'wikidata-entity': 'Wikidata',
+    'wikidata': 'Wikidata (name search)',
+    'wikipedia': 'Wikipedia',
+    'musicbrainz-area': 'MusicBrainz (country/region)',
+    'override': 'Manual override'
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use inside HTML. Artist and place names come from
+ * Spotify, MusicBrainz and imported or shared overrides, so none of them
+ * can be trusted as markup.
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Describe where an artist's location came from, e.g. "MusicBrainz · 90%"
+ * Returns an empty string for results without provenance (old cache entries).
+ */
+export function describeProvenance(artist) {
+    if (!artist.source) return '';
+    const label = SOURCE_LABELS[artist.source] || artist.source;
+    return artist.confidence != null
+        ? `${label} · ${Math.round(artist.confidence * 100)}%`
+        : label;
+}
+
 /**
  * Group artists by location into aggregated markers
  */
@@ -59,8 +100,12 @@ function aggregateArtistsByLocation(artists) {
         groups.push(group);
     });
 
-    // Find max count for color scaling
-    const maxCount = Math.max(...groups.map(g => g.length));
+    // Artists from playlists are weighted by how many tracks they appear on;
+    // everything else counts once
+    const groupWeight = group => group.reduce((sum, a) => sum + (a.trackCount || 1), 0);
+
+    // Find max weight for color scaling
+    const maxWeight = Math.max(...groups.map(groupWeight));
 
     // Create aggregated location data
     return groups.map(group => {
@@ -73,7 +118,8 @@ function aggregateArtistsByLocation(artists) {
             lng,
             artists: group,
             count: group.length,
-            maxCount,
+            weight: groupWeight(group),
+            maxWeight,
             // Use most common location name, or first one
             locationName: group[0].location_name || 'Unknown'
         };
@@ -95,6 +141,8 @@ export function initGlobe(container, artists) {
 
     // Aggregate by location
     const locations = aggregateArtistsByLocation(validArtists);
+    currentLocations = locations;
+    globeContainer = container;
 
     // Create the globe
     globe = Globe()
@@ -110,7 +158,12 @@ export function initGlobe(container, artists) {
         .htmlLat('lat')
         .htmlLng('lng')
         .htmlAltitude(0.01)
-        .htmlElement(d => createBadgeMarker(d))
+        .htmlElement(d => d.isDraft ? createDraftMarker(d) : createBadgeMarker(d))
+
+        // While editing a location, clicking the globe moves the draft pin
+        .onGlobeClick(({ lat, lng }) => {
+            if (draftPin) moveDraftPin(lat, lng, true);
+        })
         (container);
 
     // Set initial view
@@ -165,15 +218,17 @@ function createBadgeMarker(location) {
         }
     }, { passive: false });
 
-    const color = getLocationColor(location.count, location.maxCount);
+    const color = getLocationColor(location.weight, location.maxWeight);
 
     // Build artist list HTML for tooltip (always show location as subtitle)
     const artistListHtml = location.artists.map(a => `
         <div class="tooltip-artist">
-            ${a.image ? `<img src="${a.image}" alt="${a.name}" />` : '<div class="no-img"></div>'}
+            ${a.image ? `<img src="${escapeHtml(a.image)}" alt="${escapeHtml(a.name)}" />` : '<div class="no-img"></div>'}
             <div class="tooltip-artist-info">
-                <span class="name">${a.name}</span>
-                <span class="location">${a.location_name || 'Unknown'}</span>
+                <span class="name">${escapeHtml(a.name)}</span>
+                <span class="location">${escapeHtml(a.location_name || 'Unknown')}</span>
+                ${a.source ? `<span class="source">${escapeHtml(describeProvenance(a))}</span>` : ''}
+                ${a.trackCount ? `<span class="pop">${a.trackCount} track${a.trackCount > 1 ? 's' : ''}</span>` : ''}
             </div>
         </div>
     `).join('');
@@ -186,7 +241,7 @@ function createBadgeMarker(location) {
         <div class="badge-pin" style="background: ${color}; border-color: ${color};">
             <span class="badge-count">${location.count}</span>
         </div>
-        <div class="badge-label">${truncateNames(location.artists)}</div>
+        <div class="badge-label">${escapeHtml(truncateNames(location.artists))}</div>
         <div class="badge-tooltip" popover>
             <div class="tooltip-header">
                 ${headerHtml}
@@ -236,6 +291,110 @@ function createBadgeMarker(location) {
     return el;
 }
 
+/**
+ * Create the draggable pin used by the location override editor
+ */
+function createDraftMarker(pin) {
+    const el = document.createElement('div');
+    el.className = 'globe-draft-pin';
+    el.style.pointerEvents = 'auto';
+    el.title = 'Drag to adjust the location';
+
+    // Pointer events cover mouse, touch and pen alike. Capturing the
+    // pointer keeps moves coming to the pin even when the finger or cursor
+    // gets ahead of it.
+    el.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        el.setPointerCapture(e.pointerId);
+
+        // Stop the globe rotating underneath the pin while dragging
+        const controls = globe.controls();
+        controls.enabled = false;
+
+        const onMove = (moveEvent) => {
+            if (moveEvent.pointerId !== e.pointerId) return;
+            const rect = globeContainer.getBoundingClientRect();
+            const coords = globe.toGlobeCoords(
+                moveEvent.clientX - rect.left,
+                moveEvent.clientY - rect.top
+            );
+            if (coords) moveDraftPin(coords.lat, coords.lng, false);
+        };
+
+        const onUp = (upEvent) => {
+            if (upEvent.pointerId !== e.pointerId) return;
+            controls.enabled = true;
+            el.removeEventListener('pointermove', onMove);
+            el.removeEventListener('pointerup', onUp);
+            el.removeEventListener('pointercancel', onUp);
+            if (onDraftMove) onDraftMove([pin.lat, pin.lng]);
+        };
+
+        el.addEventListener('pointermove', onMove);
+        el.addEventListener('pointerup', onUp);
+        el.addEventListener('pointercancel', onUp);
+    });
+
+    return el;
+}
+
+/**
+ * Re-render markers, including the draft pin when the editor is open
+ */
+function renderMarkers() {
+    if (!globe) return;
+    globe.htmlElementsData(draftPin ? [...currentLocations, draftPin] : currentLocations);
+}
+
+/**
+ * Move the draft pin, optionally notifying the editor straight away
+ * (dragging only notifies once the pin is dropped)
+ */
+function moveDraftPin(lat, lng, notify) {
+    if (!draftPin) return;
+    draftPin.lat = lat;
+    draftPin.lng = lng;
+    renderMarkers();
+    if (notify && onDraftMove) onDraftMove([lat, lng]);
+}
+
+/**
+ * Show a draggable pin for editing an artist's location
+ * @param {Array|null} coord - Starting [lat, lon], or null for the current view
+ * @param {Function} onMove - Called with [lat, lon] whenever the pin is moved
+ */
+export function startLocationPicker(coord, onMove) {
+    if (!globe) return;
+
+    stopAutoRotate();
+
+    const start = coord || [globe.pointOfView().lat, globe.pointOfView().lng];
+    draftPin = { lat: start[0], lng: start[1], isDraft: true };
+    onDraftMove = onMove;
+    renderMarkers();
+
+    globe.pointOfView({ lat: start[0], lng: start[1], altitude: 1.5 }, 1000);
+}
+
+/**
+ * Move the draft pin to a new location (e.g. after geocoding a typed place)
+ */
+export function setLocationPicker(coord) {
+    if (!globe || !draftPin) return;
+    moveDraftPin(coord[0], coord[1], false);
+    globe.pointOfView({ lat: coord[0], lng: coord[1], altitude: 1.5 }, 1000);
+}
+
+/**
+ * Remove the draft pin when the editor closes
+ */
+export function stopLocationPicker() {
+    draftPin = null;
+    onDraftMove = null;
+    renderMarkers();
+}
+
 /**
  * Truncate artist names for label
  */
@@ -310,9 +469,9 @@ export function updateGlobeData(artists) {
         a.location_coord[1] !== 0
     );
 
-    const locations = aggregateArtistsByLocation(validArtists);
+    currentLocations = aggregateArtistsByLocation(validArtists);
 
-    globe.htmlElementsData(locations);
+    renderMarkers();
 }
 
 /**
@@ -347,6 +506,11 @@ export function destroyGlobe() {
 // Export for use in inline scripts via window
 window.GlobeViz = {
     initGlobe,
+    escapeHtml,
+    describeProvenance,
+    startLocationPicker,
+    setLocationPicker,
+    stopLocationPicker,
     flyToArtist,
     updateGlobeData,
     setGlobeTheme,
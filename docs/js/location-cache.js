@@ -0,0 +1,469 @@
+/**
+ * Browser Location Cache
+ * Stores resolved artist locations one entry per artist, each with its own
+ * timestamps, in IndexedDB (or localStorage when IndexedDB isn't available).
+ * Entries expire individually and the least recently used are evicted when
+ * the cache is full or the browser runs out of quota. The resolver's
+ * intermediate lookups (areas, capitals, geocodes) are kept the same way,
+ * in a store of their own.
+ */
+
+const CACHE_CONFIG = {
+    dbName: 'where-am-i-listening',
+    dbVersion: 2, // 2 added the lookup store
+    legacyKey: 'artist_locations_cache', // Old single-blob cache, imported once
+    legacyLookupKey: 'location_lookup_cache', // Old single-blob lookup cache, dropped
+    expiry: 30 * 24 * 60 * 60 * 1000, // 30 days in ms
+    negativeExpiry: 24 * 60 * 60 * 1000 // Unknown/partial results: 1 day
+};
+
+// Stores: IndexedDB object store, localStorage key prefix when IndexedDB is
+// unavailable, and how many entries to keep
+const CACHE_STORES = {
+    locations: { storeName: 'artist_locations', prefix: 'artist_location:', maxEntries: 2000 },
+    lookups: { storeName: 'location_lookups', prefix: 'location_lookup:', maxEntries: 5000 }
+};
+
+// Version of the cached location shape, stored with every entry so old
+// entries can be upgraded (or dropped) instead of mixing with new ones.
+//   1 - No version field; entries may lack provenance and status
+//   2 - Entries always have status and resolved_at
+export const CACHE_SCHEMA_VERSION = 2;
+
+// Per-entry upgrades keyed by the version they upgrade from. Returning
+// null drops the entry so it's looked up again.
+const CACHE_MIGRATIONS = {
+    1: (entry) => {
+        const status = entry.status || resultStatus(entry);
+        if (status === 'unknown') return null;
+        return { ...entry, status, resolved_at: entry.resolved_at || null };
+    }
+};
+
+/**
+ * Classify a result: 'resolved' (has coordinates), 'partial' (a place
+ * name that couldn't be geocoded) or 'unknown'
+ */
+export function resultStatus(result) {
+    if (result.location_coord) return 'resolved';
+    if (result.location_name && result.location_name !== 'Unknown') return 'partial';
+    return 'unknown';
+}
+
+/**
+ * Upgrade location data from an older schema version
+ * @returns {Object|null} Current-version data, or null if it can't be upgraded
+ */
+function migrateEntry(data, version) {
+    let upgraded = data;
+    for (let v = version; v < CACHE_SCHEMA_VERSION && upgraded; v++) {
+        upgraded = CACHE_MIGRATIONS[v] ? CACHE_MIGRATIONS[v](upgraded) : null;
+    }
+    return upgraded;
+}
+
+/**
+ * Check whether a record has expired. Resolved locations last 30 days from
+ * when they were saved; Unknown and partial ones only a day from when they
+ * were resolved, so locations the worker has since re-resolved show up.
+ */
+function isExpired(record, now = Date.now()) {
+    const status = record.data.status || resultStatus(record.data);
+    if (status === 'resolved') {
+        return now - record.saved_at > CACHE_CONFIG.expiry;
+    }
+    const resolvedAt = Date.parse(record.data.resolved_at) || record.saved_at;
+    return now - resolvedAt > CACHE_CONFIG.negativeExpiry;
+}
+
+function createRecord(name, data, savedAt = Date.now()) {
+    return {
+        name,
+        version: CACHE_SCHEMA_VERSION,
+        data,
+        saved_at: savedAt,
+        accessed_at: Date.now(),
+        size: JSON.stringify(data).length
+    };
+}
+
+function isQuotaError(error) {
+    return error?.name === 'QuotaExceededError' || error?.code === 22;
+}
+
+// ---------------------------------------------------------------------------
+// Storage backends
+// Both expose getMany, getAll, count, putMany, deleteMany and clear, plus
+// the maxEntries of the store they hold.
+// ---------------------------------------------------------------------------
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+let databasePromise = null;
+
+function openDatabase() {
+    if (!databasePromise) {
+        const request = indexedDB.open(CACHE_CONFIG.dbName, CACHE_CONFIG.dbVersion);
+        request.onupgradeneeded = () => {
+            for (const { storeName } of Object.values(CACHE_STORES)) {
+                if (!request.result.objectStoreNames.contains(storeName)) {
+                    request.result.createObjectStore(storeName, { keyPath: 'name' });
+                }
+            }
+        };
+        databasePromise = promisify(request);
+    }
+    return databasePromise;
+}
+
+async function createIndexedDBBackend({ storeName, maxEntries }) {
+    const db = await openDatabase();
+    const store = (mode) => db.transaction(storeName, mode).objectStore(storeName);
+
+    return {
+        name: 'IndexedDB',
+        maxEntries,
+
+        async getMany(names) {
+            const os = store('readonly');
+            return Promise.all(names.map(name => promisify(os.get(name))));
+        },
+
+        getAll() {
+            return promisify(store('readonly').getAll());
+        },
+
+        count() {
+            return promisify(store('readonly').count());
+        },
+
+        async putMany(records) {
+            const os = store('readwrite');
+            records.forEach(record => os.put(record));
+            await transactionDone(os.transaction);
+        },
+
+        async deleteMany(names) {
+            const os = store('readwrite');
+            names.forEach(name => os.delete(name));
+            await transactionDone(os.transaction);
+        },
+
+        async clear() {
+            const os = store('readwrite');
+            os.clear();
+            await transactionDone(os.transaction);
+        }
+    };
+}
+
+function createLocalStorageBackend({ prefix, maxEntries }) {
+    const read = (key) => {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (e) {
+            return null;
+        }
+    };
+    const keys = () => Object.keys(localStorage).filter(key => key.startsWith(prefix));
+
+    return {
+        name: 'localStorage',
+        maxEntries,
+
+        async getMany(names) {
+            return names.map(name => read(prefix + name));
+        },
+
+        async getAll() {
+            return keys().map(read).filter(Boolean);
+        },
+
+        async count() {
+            return keys().length;
+        },
+
+        async putMany(records) {
+            records.forEach(record => {
+                localStorage.setItem(prefix + record.name, JSON.stringify(record));
+            });
+        },
+
+        async deleteMany(names) {
+            names.forEach(name => localStorage.removeItem(prefix + name));
+        },
+
+        async clear() {
+            keys().forEach(key => localStorage.removeItem(key));
+        }
+    };
+}
+
+const backendPromises = {};
+
+/**
+ * Open a store's backend once. Opening the location store imports the old
+ * single-blob cache; opening the lookup store drops the old lookup blob,
+ * since lookups are cheap to redo.
+ * @param {string} storeKey - Key of CACHE_STORES
+ */
+function getBackend(storeKey = 'locations') {
+    if (!backendPromises[storeKey]) {
+        backendPromises[storeKey] = (async () => {
+            const store = CACHE_STORES[storeKey];
+            let backend;
+            try {
+                backend = await createIndexedDBBackend(store);
+            } catch (e) {
+                console.warn(`IndexedDB unavailable, caching ${storeKey} in localStorage:`, e);
+                backend = createLocalStorageBackend(store);
+            }
+            if (storeKey === 'locations') {
+                await importLegacyCache(backend);
+            } else {
+                localStorage.removeItem(CACHE_CONFIG.legacyLookupKey);
+            }
+            return backend;
+        })();
+    }
+    return backendPromises[storeKey];
+}
+
+/**
+ * Move entries from the old single-blob localStorage cache into the
+ * backend, keeping the blob's timestamp as their save time
+ */
+async function importLegacyCache(backend) {
+    const raw = localStorage.getItem(CACHE_CONFIG.legacyKey);
+    if (!raw) return;
+
+    try {
+        const blob = JSON.parse(raw);
+        const records = [];
+        for (const [name, entry] of Object.entries(blob.locations || {})) {
+            const data = migrateEntry(entry, blob.version || 1);
+            if (!data) continue;
+            const record = createRecord(name, data, blob.timestamp || Date.now());
+            if (!isExpired(record)) records.push(record);
+        }
+        await writeRecords(backend, records);
+    } catch (e) {
+        console.warn('Failed to import old location cache:', e);
+    }
+    localStorage.removeItem(CACHE_CONFIG.legacyKey);
+}
+
+// ---------------------------------------------------------------------------
+// Eviction
+// ---------------------------------------------------------------------------
+
+/**
+ * Delete the `count` least recently used entries
+ */
+async function evictLeastRecentlyUsed(backend, count) {
+    if (count <= 0) return;
+    const records = await backend.getAll();
+    const oldest = records
+        .sort((a, b) => a.accessed_at - b.accessed_at)
+        .slice(0, count)
+        .map(record => record.name);
+    await backend.deleteMany(oldest);
+}
+
+/**
+ * Save records, evicting to make room when the cache is over its entry
+ * limit or the browser reports it's out of quota
+ */
+async function writeRecords(backend, records) {
+    if (records.length === 0) return;
+
+    try {
+        await backend.putMany(records);
+    } catch (e) {
+        if (!isQuotaError(e)) throw e;
+        // Out of space: drop the least recently used quarter and retry once
+        const count = await backend.count();
+        await evictLeastRecentlyUsed(backend, Math.max(records.length, Math.ceil(count / 4)));
+        await backend.putMany(records);
+    }
+
+    const count = await backend.count();
+    await evictLeastRecentlyUsed(backend, count - backend.maxEntries);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Get cached locations for some artists (or every artist)
+ * Expired entries are deleted, old schema versions migrated, and hits
+ * marked as recently used.
+ * @param {Array<string>|null} names - Artist names, or null for all
+ * @returns {Promise<Object>} Artist name -> location data
+ */
+export async function getCachedLocations(names = null) {
+    try {
+        const backend = await getBackend();
+        const records = names ? await backend.getMany(names) : await backend.getAll();
+        const now = Date.now();
+        const locations = {};
+        const expired = [];
+        const touched = [];
+
+        for (const record of records) {
+            if (!record) continue;
+
+            let data = record.data;
+            if (record.version !== CACHE_SCHEMA_VERSION) {
+                data = record.version > CACHE_SCHEMA_VERSION ? null : migrateEntry(data, record.version || 1);
+            }
+            if (!data || isExpired({ ...record, data }, now)) {
+                expired.push(record.name);
+                continue;
+            }
+
+            locations[record.name] = data;
+            touched.push({ ...record, version: CACHE_SCHEMA_VERSION, data, accessed_at: now });
+        }
+
+        await backend.deleteMany(expired);
+        // Only lookups count as use; listing everything (the inspector) doesn't
+        if (names) {
+            writeRecords(backend, touched).catch(e => console.warn('Failed to update cache:', e));
+        }
+        return locations;
+    } catch (e) {
+        console.warn('Failed to read location cache:', e);
+        return {};
+    }
+}
+
+/**
+ * Save locations, one entry per artist
+ * @param {Object} locations - Artist name -> location data
+ */
+export async function saveCachedLocations(locations) {
+    try {
+        const backend = await getBackend();
+        const records = Object.entries(locations).map(([name, data]) => createRecord(name, data));
+        await writeRecords(backend, records);
+    } catch (e) {
+        console.warn('Failed to save to cache:', e);
+    }
+}
+
+/**
+ * Delete every cached location
+ */
+export async function clearLocationCache() {
+    const backend = await getBackend();
+    await backend.clear();
+}
+
+/**
+ * Describe the cache for the inspector: where it lives, how big it is and
+ * how old its entries are
+ * @returns {Promise<Object>} { backend, count, bytes, oldest, newest,
+ *   byStatus, entries, quota } with entries most recently used first
+ */
+export async function getCacheStats() {
+    const backend = await getBackend();
+    const records = await backend.getAll();
+    const byStatus = { resolved: 0, partial: 0, unknown: 0 };
+    let bytes = 0;
+
+    for (const record of records) {
+        byStatus[record.data.status || resultStatus(record.data)]++;
+        bytes += record.size || 0;
+    }
+
+    const savedTimes = records.map(record => record.saved_at);
+    let quota = null;
+    if (navigator.storage?.estimate) {
+        const estimate = await navigator.storage.estimate();
+        quota = { usage: estimate.usage, quota: estimate.quota };
+    }
+
+    return {
+        backend: backend.name,
+        count: records.length,
+        bytes,
+        oldest: savedTimes.length ? Math.min(...savedTimes) : null,
+        newest: savedTimes.length ? Math.max(...savedTimes) : null,
+        byStatus,
+        entries: records
+            .sort((a, b) => b.accessed_at - a.accessed_at)
+            .map(record => ({
+                name: record.name,
+                location_name: record.data.location_name,
+                status: record.data.status || resultStatus(record.data),
+                saved_at: record.saved_at,
+                accessed_at: record.accessed_at,
+                size: record.size
+            })),
+        quota
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Resolver lookups
+// ---------------------------------------------------------------------------
+
+/**
+ * Storage for the shared resolver's intermediate lookups (see
+ * setLookupStorage), one entry per lookup with the expiry the resolver
+ * asks for, evicted least recently used first like artist locations
+ */
+export const lookupStorage = {
+    async get(key) {
+        try {
+            const backend = await getBackend('lookups');
+            const [record] = await backend.getMany([key]);
+            if (!record) return null;
+
+            const now = Date.now();
+            if (record.expires_at <= now) {
+                await backend.deleteMany([key]);
+                return null;
+            }
+            writeRecords(backend, [{ ...record, accessed_at: now }])
+                .catch(e => console.warn('Failed to update lookup cache:', e));
+            return record.data;
+        } catch (e) {
+            console.warn('Failed to read lookup cache:', e);
+            return null;
+        }
+    },
+
+    async set(key, value, ttlSeconds) {
+        try {
+            const backend = await getBackend('lookups');
+            const record = createRecord(key, value);
+            await writeRecords(backend, [{ ...record, expires_at: record.saved_at + ttlSeconds * 1000 }]);
+        } catch (e) {
+            console.warn('Failed to save lookup:', e);
+        }
+    }
+};
+
+/**
+ * Delete every cached resolver lookup
+ */
+export async function clearLookupCache() {
+    const backend = await getBackend('lookups');
+    await backend.clear();
+}
@@ -1,38 +1,258 @@
 /**
  * Spotify API Client
- * Handles fetching user's top artists from Spotify
+ * Handles fetching the user's artists from Spotify (top artists, followed
+ * artists, Liked Songs and playlists)
  */
 
 const SPOTIFY_API_BASE = 'https://api.spotify.com/v1';
 
+const PAGE_SIZE = 50; // Spotify's maximum page size for top items
+const PLAYLIST_PAGE_SIZE = 100; // Playlist items allow larger pages
+const ARTIST_IDS_PER_REQUEST = 50; // Max ids for GET /artists
+
 /**
- * Fetch user's top artists from Spotify
+ * GET a Spotify API path, refreshing the token once on 401
+ * The stored token wins over the one passed in, so once a refresh happens
+ * partway through paging, later pages use the new token rather than the
+ * one the caller started with. A 403 means the token lacks a scope (e.g.
+ * it predates one the app now asks for) and throws an error with code
+ * 'missing_scope', since only logging in again fixes it.
  * @param {string} token - Spotify access token
- * @param {number} limit - Number of artists to fetch (max 50)
- * @param {string} timeRange - Time range: short_term, medium_term, long_term
- * @returns {Promise<Array>} Array of artist objects
+ * @param {string} path - Path relative to the API base, or a full `next` URL
+ * @param {boolean} refreshed - Whether the token was already refreshed
+ * @returns {Promise<Object>} Parsed JSON response
  */
-export async function fetchTopArtists(token, limit = 50, timeRange = 'medium_term') {
-    const response = await fetch(
-        `${SPOTIFY_API_BASE}/me/top/artists?limit=${limit}&time_range=${timeRange}`,
-        {
-            headers: {
-                'Authorization': `Bearer ${token}`
-            }
+async function spotifyGet(token, path, refreshed = false) {
+    const url = path.startsWith('http') ? path : `${SPOTIFY_API_BASE}${path}`;
+    const currentToken = sessionStorage.getItem('access_token') || token;
+    const response = await fetch(url, {
+        headers: {
+            'Authorization': `Bearer ${currentToken}`
         }
-    );
+    });
 
     if (!response.ok) {
-        if (response.status === 401) {
+        if (response.status === 401 && !refreshed) {
             // Token expired, try to refresh
             const newToken = await window.SpotifyAuth.refreshToken();
-            return fetchTopArtists(newToken, limit, timeRange);
+            return spotifyGet(newToken, path, true);
+        }
+        if (response.status === 403) {
+            throw Object.assign(
+                new Error('Spotify needs new permissions. Please log in again.'),
+                { code: 'missing_scope' }
+            );
         }
         throw new Error(`Spotify API error: ${response.status}`);
     }
 
-    const data = await response.json();
-    return data.items;
+    return response.json();
+}
+
+/**
+ * Fetch user's top artists from Spotify
+ * Pages through results with the offset parameter when more than one
+ * page is requested.
+ * @param {string} token - Spotify access token
+ * @param {number} limit - Number of artists to fetch
+ * @param {string} timeRange - Time range: short_term, medium_term, long_term
+ * @returns {Promise<Array>} Array of artist objects
+ */
+export async function fetchTopArtists(token, limit = 50, timeRange = 'medium_term') {
+    const artists = [];
+
+    while (artists.length < limit) {
+        const pageSize = Math.min(PAGE_SIZE, limit - artists.length);
+        const page = await spotifyGet(token,
+            `/me/top/artists?limit=${pageSize}&offset=${artists.length}&time_range=${timeRange}`);
+        artists.push(...page.items);
+
+        // Spotify returns fewer items (and no next page) once we run out
+        if (!page.next || page.items.length < pageSize) break;
+    }
+
+    return artists;
+}
+
+/**
+ * Fetch artists the user follows
+ * The following endpoint pages with an `after` cursor rather than an offset.
+ * @param {string} token - Spotify access token
+ * @param {number} limit - Maximum number of artists to fetch
+ * @returns {Promise<Array>} Array of artist objects
+ */
+export async function fetchFollowedArtists(token, limit = 50) {
+    const artists = [];
+    let next = `/me/following?type=artist&limit=${PAGE_SIZE}`;
+
+    while (next && artists.length < limit) {
+        const page = await spotifyGet(token, next);
+        artists.push(...page.artists.items);
+        next = page.artists.next;
+    }
+
+    return dedupeArtists(artists).slice(0, limit);
+}
+
+/**
+ * Fetch the artists behind the user's Liked Songs
+ * Pages through saved tracks until enough unique artists are collected.
+ * @param {string} token - Spotify access token
+ * @param {number} limit - Maximum number of artists to fetch
+ * @returns {Promise<Array>} Array of artist objects with trackCount
+ */
+export async function fetchLikedSongArtists(token, limit = 50) {
+    const counts = await collectTrackArtists(token, `/me/tracks?limit=${PAGE_SIZE}`, limit);
+    return hydrateTrackArtists(token, counts, limit);
+}
+
+/**
+ * Fetch the user's whole library: followed artists plus the artists behind
+ * their Liked Songs, deduplicated by Spotify id
+ * @param {string} token - Spotify access token
+ * @param {number} limit - Maximum number of artists to fetch
+ * @returns {Promise<Array>} Array of artist objects
+ */
+export async function fetchLibraryArtists(token, limit = 50) {
+    const followed = await fetchFollowedArtists(token, limit);
+    const liked = await fetchLikedSongArtists(token, limit);
+    return dedupeArtists([...followed, ...liked]).slice(0, limit);
+}
+
+/**
+ * Fetch the user's playlists (owned and followed)
+ * @param {string} token - Spotify access token
+ * @returns {Promise<Array>} Array of { id, name, trackCount }
+ */
+export async function fetchUserPlaylists(token) {
+    const playlists = [];
+    let next = `/me/playlists?limit=${PAGE_SIZE}`;
+
+    while (next) {
+        const page = await spotifyGet(token, next);
+        playlists.push(...page.items.filter(Boolean).map(p => ({
+            id: p.id,
+            name: p.name,
+            trackCount: p.tracks?.total || 0
+        })));
+        next = page.next;
+    }
+
+    return playlists;
+}
+
+/**
+ * Extract a playlist id from a Spotify playlist URL, URI or bare id
+ * e.g. "https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M?si=..."
+ *      "spotify:playlist:37i9dQZF1DXcBWIGoYBM5M"
+ * @param {string} input - URL, URI or id pasted by the user
+ * @returns {string|null} Playlist id, or null if it can't be parsed
+ */
+export function parsePlaylistId(input) {
+    const value = (input || '').trim();
+    const match = value.match(/playlist[/:]([A-Za-z0-9]+)/);
+    if (match) return match[1];
+    return /^[A-Za-z0-9]{10,}$/.test(value) ? value : null;
+}
+
+/**
+ * Fetch every artist appearing on a playlist, including featured artists
+ * Pages through all playlist items and weights each artist by the number
+ * of tracks they appear on; the most frequent artists are returned first.
+ * @param {string} token - Spotify access token
+ * @param {string} playlist - Playlist id, URL or URI
+ * @param {number} limit - Maximum number of artists to return
+ * @returns {Promise<Array>} Array of artist objects with trackCount
+ */
+export async function fetchPlaylistArtists(token, playlist, limit = 50) {
+    const playlistId = parsePlaylistId(playlist);
+    if (!playlistId) {
+        throw new Error('Invalid playlist URL or ID');
+    }
+
+    const counts = await collectTrackArtists(
+        token, `/playlists/${playlistId}/tracks?limit=${PLAYLIST_PAGE_SIZE}`
+    );
+    return hydrateTrackArtists(token, counts, limit);
+}
+
+/**
+ * Page through a list of track items (saved tracks or playlist items) and
+ * count how many tracks each artist appears on, featured artists included
+ * @param {string} token - Spotify access token
+ * @param {string} firstPage - Path of the first page
+ * @param {number} limit - Stop once this many unique artists are found
+ * @returns {Promise<Map>} Spotify artist id -> track count
+ */
+async function collectTrackArtists(token, firstPage, limit = Infinity) {
+    const counts = new Map();
+    let next = firstPage;
+
+    while (next && counts.size < limit) {
+        const page = await spotifyGet(token, next);
+
+        for (const item of page.items) {
+            // Podcast episodes and unavailable tracks have no artists;
+            // local files have artists without ids
+            for (const artist of (item.track?.artists || [])) {
+                if (!artist.id) continue;
+                counts.set(artist.id, (counts.get(artist.id) || 0) + 1);
+            }
+        }
+
+        next = page.next;
+    }
+
+    return counts;
+}
+
+/**
+ * Turn track counts into full artist objects, most frequent first
+ * @param {string} token - Spotify access token
+ * @param {Map} counts - Spotify artist id -> track count
+ * @param {number} limit - Maximum number of artists to return
+ * @returns {Promise<Array>} Array of artist objects with trackCount
+ */
+async function hydrateTrackArtists(token, counts, limit) {
+    const ids = [...counts.keys()]
+        .sort((a, b) => counts.get(b) - counts.get(a))
+        .slice(0, limit);
+    const artists = await fetchArtistsByIds(token, ids);
+    return artists.map(artist => ({ ...artist, trackCount: counts.get(artist.id) }));
+}
+
+/**
+ * Fetch full artist objects (images, genres) for a list of ids
+ * Track items only include simplified artists, so these are looked up
+ * in batches of 50.
+ * @param {string} token - Spotify access token
+ * @param {Array<string>} ids - Spotify artist ids
+ * @returns {Promise<Array>} Array of artist objects
+ */
+export async function fetchArtistsByIds(token, ids) {
+    const artists = [];
+
+    for (let i = 0; i < ids.length; i += ARTIST_IDS_PER_REQUEST) {
+        const batch = ids.slice(i, i + ARTIST_IDS_PER_REQUEST);
+        const data = await spotifyGet(token, `/artists?ids=${batch.join(',')}`);
+        artists.push(...data.artists.filter(Boolean));
+    }
+
+    return artists;
+}
+
+/**
+ * Remove duplicate artists, keeping the first occurrence of each Spotify id
+ * @param {Array} artists - Array of Spotify artist objects
+ * @returns {Array} Artists with unique ids
+ */
+export function dedupeArtists(artists) {
+    const seen = new Set();
+    return artists.filter(artist => {
+        if (seen.has(artist.id)) return false;
+        seen.add(artist.id);
+        return true;
+    });
 }
 
 /**
@@ -46,12 +266,21 @@ export function extractArtistData(artists) {
         name: artist.name,
         genres: artist.genres,
         image: artist.images?.[0]?.url || null,
-        spotifyUrl: artist.external_urls?.spotify || null
+        spotifyUrl: artist.external_urls?.spotify || null,
+        trackCount: artist.trackCount || null
     }));
 }
 
 // Export for use in inline scripts via window
 window.SpotifyAPI = {
     fetchTopArtists,
+    fetchFollowedArtists,
+    fetchLikedSongArtists,
+    fetchLibraryArtists,
+    fetchUserPlaylists,
+    fetchPlaylistArtists,
+    parsePlaylistId,
+    fetchArtistsByIds,
+    dedupeArtists,
     extractArtistData
 };
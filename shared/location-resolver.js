@@ -100,6 +100,88 @@ const rateLimiters = {
     wikidata: new RateLimitedQueue(100)
 };
 
+// ---------------------------------------------------------------------------
+// Lookup cache for intermediate results
+// ---------------------------------------------------------------------------
+
+// Area hierarchies, subdivision capitals and geocodes rarely change, and
+// many artists share them (dozens of artists from London), so they are
+// cached separately from final artist results.
+const LOOKUP_CACHE_TTL = 90 * 24 * 60 * 60; // 90 days in seconds
+const MEMORY_LAYER_LIMIT = 1000; // Entries kept in memory per isolate/page
+
+// First layer: in-memory promises, which also coalesce concurrent lookups
+const memoryLayer = new Map();
+
+// Second layer: persistent storage plugged in by the environment (KV in the
+// worker, the location cache's lookup store in the browser). Anything with async get(key) and
+// set(key, value, ttlSeconds) works.
+let lookupStorage = null;
+
+/**
+ * Plug in persistent storage for intermediate lookups (null to disable)
+ * @param {Object|null} storage - { get(key), set(key, value, ttlSeconds) }
+ */
+export function setLookupStorage(storage) {
+    lookupStorage = storage;
+}
+
+/**
+ * Forget intermediate lookups held in memory
+ */
+export function clearLookupCache() {
+    memoryLayer.clear();
+}
+
+/**
+ * Return a cached lookup, checking memory then persistent storage, or run
+ * fetchValue and cache its result. Null results (not found, or a network
+ * error) aren't cached so they're retried next time.
+ * @param {string} key - Cache key, e.g. "area:<mbid>" or "geocode:<query>"
+ * @param {Function} fetchValue - Async function doing the network lookup
+ */
+async function cachedLookup(key, fetchValue) {
+    if (memoryLayer.has(key)) return memoryLayer.get(key);
+
+    const pending = readThrough(key, fetchValue);
+    memoryLayer.set(key, pending);
+    if (memoryLayer.size > MEMORY_LAYER_LIMIT) {
+        // Maps iterate in insertion order, so this drops the oldest entry
+        memoryLayer.delete(memoryLayer.keys().next().value);
+    }
+
+    try {
+        const value = await pending;
+        if (value === null) memoryLayer.delete(key);
+        return value;
+    } catch (error) {
+        memoryLayer.delete(key);
+        throw error;
+    }
+}
+
+async function readThrough(key, fetchValue) {
+    if (lookupStorage) {
+        try {
+            const stored = await lookupStorage.get(key);
+            if (stored !== null && stored !== undefined) return stored;
+        } catch (e) {
+            console.warn('Lookup cache read error:', e);
+        }
+    }
+
+    const value = await fetchValue();
+
+    if (value !== null && lookupStorage) {
+        try {
+            await lookupStorage.set(key, value, LOOKUP_CACHE_TTL);
+        } catch (e) {
+            console.warn('Lookup cache write error:', e);
+        }
+    }
+    return value;
+}
+
 // ---------------------------------------------------------------------------
 // Area specificity helpers
 // ---------------------------------------------------------------------------
@@ -167,38 +249,315 @@ export function isCityLevelGeocode(geoResult) {
 // Name matching helpers
 // ---------------------------------------------------------------------------
 
+// Letters that don't decompose into a base letter plus a diacritic
+const FOLDED_LETTERS = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'ł': 'l', 'þ': 'th', 'ı': 'i'
+};
+
+/**
+ * Normalize a name for comparison: NFKC (full-width letters, ligatures),
+ * lowercase, diacritics folded ("Sigur Rós" → "sigur ros", "Пугачёва" →
+ * "пугачева") and whitespace collapsed. Only the combining marks used by
+ * Latin, Greek and Cyrillic are folded, so kana voicing marks survive.
+ */
+export function normalizeName(name) {
+    return name
+        .normalize('NFKC')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .normalize('NFC')
+        .replace(/[ßæœøđðłþı]/g, letter => FOLDED_LETTERS[letter])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+const CYRILLIC_LATIN = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ж': 'zh', 'з': 'z', 'и': 'i',
+    'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's',
+    'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch',
+    'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya', 'і': 'i', 'ї': 'yi', 'є': 'ye',
+    'ґ': 'g', 'ў': 'u', 'ђ': 'dj', 'ј': 'j', 'љ': 'lj', 'њ': 'nj', 'ћ': 'c', 'џ': 'dz'
+};
+
+const GREEK_LATIN = {
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th', 'ι': 'i',
+    'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's',
+    'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+// Hepburn romanization of hiragana (katakana is mapped onto hiragana first)
+const KANA_LATIN = Object.fromEntries((
+    'あa いi うu えe おo かka きki くku けke こko がga ぎgi ぐgu げge ごgo ' +
+    'さsa しshi すsu せse そso ざza じji ずzu ぜze ぞzo たta ちchi つtsu てte とto ' +
+    'だda ぢji づzu でde どdo なna にni ぬnu ねne のno はha ひhi ふfu へhe ほho ' +
+    'ばba びbi ぶbu べbe ぼbo ぱpa ぴpi ぷpu ぺpe ぽpo まma みmi むmu めme もmo ' +
+    'やya ゆyu よyo らra りri るru れre ろro わwa ゐi ゑe をo んn ゔvu'
+).split(' ').map(pair => [pair[0], pair.slice(1)]));
+const SMALL_KANA_VOWELS = { 'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o' };
+const SMALL_KANA_GLIDES = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+
+// Revised Romanization of Hangul syllable initials, vowels and finals
+const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const HANGUL_VOWELS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+function romanizeKana(text) {
+    const syllables = [];
+    let doubleNext = false;
+
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        // Katakana → hiragana (ヴ included)
+        const kana = code >= 0x30a1 && code <= 0x30f4 ? String.fromCodePoint(code - 0x60) : char;
+        const previous = syllables[syllables.length - 1] || '';
+
+        if (kana === 'っ') {
+            doubleNext = true;
+        } else if (kana === 'ー') {
+            // Long vowel mark: names are usually written without it
+        } else if (kana === '・') {
+            syllables.push(' ');
+        } else if (SMALL_KANA_GLIDES[kana] && previous.endsWith('i')) {
+            // きゃ → kya, しゃ → sha
+            const stem = previous.slice(0, -1);
+            syllables[syllables.length - 1] = stem + (/(sh|ch|j)$/.test(stem) ? '' : 'y') + SMALL_KANA_GLIDES[kana];
+        } else if (SMALL_KANA_VOWELS[kana] && /[aiueo]$/.test(previous) && previous.length > 1) {
+            // ファ → fa, ティ → ti
+            syllables[syllables.length - 1] = previous.slice(0, -1) + SMALL_KANA_VOWELS[kana];
+        } else {
+            let latin = KANA_LATIN[kana] ?? SMALL_KANA_VOWELS[kana] ?? SMALL_KANA_GLIDES[kana] ?? kana;
+            if (doubleNext && /^[a-z]/.test(latin)) {
+                latin = (latin.startsWith('ch') ? 't' : latin[0]) + latin;
+            }
+            doubleNext = false;
+            syllables.push(latin);
+        }
+    }
+
+    return syllables.join('');
+}
+
+function romanizeHangul(char) {
+    const index = char.codePointAt(0) - 0xac00;
+    const initial = Math.floor(index / (21 * 28));
+    const vowel = Math.floor((index % (21 * 28)) / 28);
+    const final = index % 28;
+    return HANGUL_INITIALS[initial] + HANGUL_VOWELS[vowel] + HANGUL_FINALS[final];
+}
+
+/**
+ * Romanize Cyrillic, Greek, kana and Hangul in a name, e.g. "Кино" →
+ * "kino", "ヨルシカ" → "yorushika", "아이유" → "aiyu". Han characters and
+ * other scripts are left as they are (MusicBrainz aliases cover those).
+ * The name is normalized first (see normalizeName).
+ */
+export function transliterate(name) {
+    return romanizeKana(normalizeName(name))
+        .replace(/[\uac00-\ud7a3]/g, romanizeHangul)
+        .replace(/[\u0400-\u04ff]/g, letter => CYRILLIC_LATIN[letter] ?? letter)
+        .replace(/[\u0370-\u03ff]/g, letter => GREEK_LATIN[letter] ?? letter);
+}
+
+/**
+ * Check whether a name has letters outside the Latin script
+ */
+export function hasNonLatinLetters(name) {
+    return /(?!\p{Script=Latin})\p{L}/u.test(name);
+}
+
 /**
- * Check if artist name is an exact match (case-insensitive)
+ * Key for comparing names across scripts: romanized, punctuation dropped,
+ * and spellings that romanizations disagree on folded together (y/j/i,
+ * kh/h, doubled letters), so "Мумий Тролль" and "Mumiy Troll" agree
+ */
+function latinKey(name) {
+    return transliterate(name)
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/kh/g, 'h')
+        .replace(/ph/g, 'f')
+        .replace(/w/g, 'v')
+        .replace(/[jy]/g, 'i')
+        .replace(/(\p{L})\1+/gu, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Check if artist name is an exact match (ignoring case, diacritics and
+ * Unicode width)
  */
 export function isExactMatch(searchName, resultName) {
-    return searchName.toLowerCase().trim() === resultName.toLowerCase().trim();
+    return normalizeName(searchName) === normalizeName(resultName);
 }
 
+// Names scoring at least this are the same artist (see scoreNameMatch)
+export const NAME_MATCH_THRESHOLD = 0.8;
+
+// Words at least this similar (Jaro-Winkler) count as the same word, which
+// allows for a typo or two in longer words but not "Keli" for "Billie"
+const TOKEN_MATCH_THRESHOLD = 0.9;
+
+// Words that are left out or swapped for symbols too often to count
+const NAME_STOPWORDS = new Set(['the', 'and']);
+
 /**
- * Verify the returned artist name matches our search query
- * Uses word matching to detect wrong artists (e.g., "Keli Holiday" vs "Billie Holiday")
+ * Split a name into comparable words: "&" and "+" read as "and",
+ * apostrophes and dots dropped ("Guns N' Roses", "R.E.M."), other
+ * punctuation (including the comma of sort names like "Beatles, The")
+ * treated as a space, and "the"/"and" removed unless that leaves nothing.
+ * With romanize set, names are compared in romanized form (see latinKey).
  */
-export function verifyArtistMatch(searchName, resultName) {
-    const searchLower = searchName.toLowerCase().trim();
-    const resultLower = resultName.toLowerCase().trim();
+function nameTokens(name, romanize) {
+    let text = normalizeName(name).replace(/[&+]/g, ' and ');
+    if (romanize) text = latinKey(text);
+
+    const words = text
+        .replace(/['\u2019.]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+    const meaningful = words.filter(word => !NAME_STOPWORDS.has(word));
+    return meaningful.length > 0 ? meaningful : words;
+}
+
+/**
+ * Jaro-Winkler similarity of two strings, from 0 (nothing in common) to 1
+ * (identical), favouring strings that share a prefix
+ */
+export function jaroWinkler(a, b) {
+    if (a === b) return 1;
+    if (a.length === 0 || b.length === 0) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatched = new Array(a.length).fill(false);
+    const bMatched = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        const from = Math.max(0, i - window);
+        const to = Math.min(b.length - 1, i + window);
+        for (let j = from; j <= to; j++) {
+            if (bMatched[j] || a[i] !== b[j]) continue;
+            aMatched[i] = bMatched[j] = true;
+            matches++;
+            break;
+        }
+    }
+    if (matches === 0) return 0;
+
+    // Matched characters that appear in a different order
+    let transpositions = 0;
+    let j = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (!aMatched[i]) continue;
+        while (!bMatched[j]) j++;
+        if (a[i] !== b[j]) transpositions++;
+        j++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+    let prefix = 0;
+    while (prefix < 4 && prefix < Math.min(a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Score how well a result name matches the name searched for, from 0 to 1.
+ *
+ * A token-set comparison: words are paired up regardless of order, each
+ * pair scored by Jaro-Winkler (pairs under TOKEN_MATCH_THRESHOLD don't
+ * count), and weighted by word length. Recall is how much of the searched
+ * name was found, precision how much of the result name is accounted for.
+ * The two are averaged, so words the result adds cost as much as words it
+ * lacks.
+ * - "Taylor Swift" / "Taylor Alison Swift": a middle name passes (0.82)
+ * - "Bon Iver" / "Bon Iver Tribute": a tribute act, or a band named after
+ *   its singer ("Nick Cave & The Bad Seeds"), is a different artist (0.75)
+ * - "Keli Holiday" / "Billie Holiday": half a name is a different artist (0.59)
+ * - A one-word name scores the lower of the two, so "Greg" isn't
+ *   "Greg Brown" (0.2), scaled by how close the names are in length, so
+ *   a typo is forgiven but "Prince" isn't "Princess" (0.71)
+ * Names in different scripts are compared romanized ("Kino" / "Кино"),
+ * and names that only differ in spacing or punctuation ("AC/DC" / "ACDC")
+ * score 1.
+ */
+export function scoreNameMatch(searchName, resultName) {
+    const normalizedSearch = normalizeName(searchName);
+    const normalizedResult = normalizeName(resultName);
+    if (normalizedSearch === normalizedResult) return 1;
+
+    const romanize = hasNonLatinLetters(normalizedSearch) || hasNonLatinLetters(normalizedResult);
+    const searchWords = nameTokens(normalizedSearch, romanize);
+    const resultWords = nameTokens(normalizedResult, romanize);
+    if (searchWords.length === 0 || resultWords.length === 0) return 0;
+    if (searchWords.join('') === resultWords.join('')) return 1;
+
+    // Pair the most similar words first, each word used once
+    const pairs = [];
+    searchWords.forEach((searchWord, i) => {
+        resultWords.forEach((resultWord, j) => {
+            const similarity = jaroWinkler(searchWord, resultWord);
+            if (similarity >= TOKEN_MATCH_THRESHOLD) pairs.push({ i, j, similarity });
+        });
+    });
+    pairs.sort((a, b) => b.similarity - a.similarity);
+
+    const usedSearch = new Set();
+    const usedResult = new Set();
+    let foundWeight = 0;
+    let accountedWeight = 0;
+    for (const { i, j, similarity } of pairs) {
+        if (usedSearch.has(i) || usedResult.has(j)) continue;
+        usedSearch.add(i);
+        usedResult.add(j);
+        foundWeight += similarity * searchWords[i].length;
+        accountedWeight += similarity * resultWords[j].length;
+    }
+
+    const length = words => words.reduce((total, word) => total + word.length, 0);
+    const recall = foundWeight / length(searchWords);
+    const precision = accountedWeight / length(resultWords);
 
-    // For single-word names, require exact match to avoid "GREG" → "Greg Brown"
-    const searchWords = searchLower.split(/\s+/);
     if (searchWords.length === 1) {
-        return searchLower === resultLower;
+        const searchLength = length(searchWords);
+        const resultLength = length(resultWords);
+        return Math.min(recall, precision) * Math.min(searchLength, resultLength) / Math.max(searchLength, resultLength);
     }
+    return (recall + precision) / 2;
+}
 
-    // For multi-word names, allow some flexibility
-    let missingWords = 0;
-    for (const word of searchWords) {
-        // Check if word exists in result (allowing for slight variations)
-        if (!resultLower.includes(word) && !resultLower.includes(word.slice(0, -2))) {
-            missingWords++;
-        }
+/**
+ * Verify the returned artist name matches our search query
+ * (prevents "Keli Holiday" → "Billie Holiday"; see scoreNameMatch)
+ */
+export function verifyArtistMatch(searchName, resultName) {
+    return scoreNameMatch(searchName, resultName) >= NAME_MATCH_THRESHOLD;
+}
+
+/**
+ * Score a name against every name an artist goes by
+ * Returns { name, score } for the best of them
+ */
+export function bestNameMatch(searchName, names) {
+    let best = { name: null, score: 0 };
+    for (const name of names) {
+        const score = scoreNameMatch(searchName, name);
+        if (score > best.score) best = { name, score };
+        if (score === 1) break;
     }
+    return best;
+}
 
-    const mismatchRatio = missingWords / searchWords.length;
-    return mismatchRatio <= 0.4; // Allow up to 40% words missing
+/**
+ * Every name a MusicBrainz artist goes by: name, sort name and aliases
+ * (which include names in other scripts, e.g. "BTS" for 방탄소년단)
+ */
+export function artistNameVariants(artist) {
+    const names = [artist.name, artist['sort-name']];
+    for (const alias of artist.aliases || []) {
+        names.push(alias.name, alias['sort-name']);
+    }
+    return [...new Set(names.filter(Boolean))];
 }
 
 // ---------------------------------------------------------------------------
@@ -230,6 +589,86 @@ export function countryCodeToName(code) {
     }
 }
 
+// ---------------------------------------------------------------------------
+// Language helpers
+// ---------------------------------------------------------------------------
+
+// Scripts that say which Wikipedia an artist is most likely written up in.
+// Han characters alone could be Chinese or Japanese, so they come last.
+const SCRIPT_LANGUAGES = [
+    [/[\u1100-\u11ff\uac00-\ud7a3]/, 'ko'],
+    [/[\u3040-\u30ff]/, 'ja'],
+    [/[\u0400-\u04ff]/, 'ru'],
+    [/[\u0370-\u03ff]/, 'el'],
+    [/[\u0e00-\u0e7f]/, 'th'],
+    [/[\u0600-\u06ff]/, 'ar'],
+    [/[\u0590-\u05ff]/, 'he'],
+    [/[\u4e00-\u9fff]/, 'zh']
+];
+
+// MusicBrainz country code → main Wikipedia language (English-speaking
+// countries are left out, since English is always tried first)
+const COUNTRY_LANGUAGES = {
+    JP: 'ja', KR: 'ko', CN: 'zh', TW: 'zh', HK: 'zh',
+    RU: 'ru', BY: 'ru', KZ: 'ru', UA: 'uk', PL: 'pl', CZ: 'cs', SK: 'sk',
+    DE: 'de', AT: 'de', CH: 'de', FR: 'fr', BE: 'fr', NL: 'nl',
+    ES: 'es', MX: 'es', AR: 'es', CO: 'es', CL: 'es', PE: 'es', PR: 'es',
+    PT: 'pt', BR: 'pt', IT: 'it', SE: 'sv', NO: 'no', DK: 'da', FI: 'fi',
+    IS: 'is', GR: 'el', TR: 'tr', IL: 'he', TH: 'th', VN: 'vi', ID: 'id'
+};
+
+// Spotify genres that name a scene or language
+const GENRE_LANGUAGES = [
+    [/\bk-(pop|rap|indie|rock)\b|\bkorean\b/, 'ko'],
+    [/\bj-(pop|rock|rap|indie)\b|\bjapanese\b|\banime\b|\bvocaloid\b|\bcity pop\b/, 'ja'],
+    [/\bc-pop\b|\bmandopop\b|\bcantopop\b|\bchinese\b|\btaiwan/, 'zh'],
+    [/\brussian\b/, 'ru'],
+    [/\bukrainian\b/, 'uk'],
+    [/\bpolish\b/, 'pl'],
+    [/\bgerman\b|\bdeutsch/, 'de'],
+    [/\bfrench\b|\bfrancoton\b|\bchanson\b/, 'fr'],
+    [/\blatin\b|\breggaeton\b|\bspanish\b|\bmexican\b|\bargentine\b|\bcolombian\b/, 'es'],
+    [/\bbrazilian\b|\bmpb\b|\bsertanejo\b|\bfunk carioca\b|\bbossa nova\b|\bportuguese\b/, 'pt'],
+    [/\bitalian\b/, 'it'],
+    [/\bswedish\b/, 'sv'],
+    [/\bnorwegian\b/, 'no'],
+    [/\bdanish\b/, 'da'],
+    [/\bfinnish\b|\bsuomi\b/, 'fi'],
+    [/\bdutch\b/, 'nl'],
+    [/\bturkish\b/, 'tr'],
+    [/\bgreek\b/, 'el']
+];
+
+/**
+ * Guess which non-English Wikipedias are worth searching for an artist,
+ * most likely first: from the script of their name, their MusicBrainz
+ * country, then their Spotify genres.
+ * e.g. { name: "Кино" } → ["ru"], { name: "Yorushika", genres: ["j-pop"] } → ["ja"]
+ */
+export function artistLanguages({ name = '', country = null, genres = [] } = {}) {
+    const languages = [];
+    const add = lang => {
+        if (lang && lang !== 'en' && !languages.includes(lang)) languages.push(lang);
+    };
+
+    for (const [pattern, lang] of SCRIPT_LANGUAGES) {
+        if (pattern.test(name)) add(lang);
+    }
+    add(COUNTRY_LANGUAGES[country?.toUpperCase()]);
+    for (const genre of genres || []) {
+        const lower = String(genre).toLowerCase();
+        for (const [pattern, lang] of GENRE_LANGUAGES) {
+            if (pattern.test(lower)) add(lang);
+        }
+    }
+
+    // A Han-only name is more often Chinese, but a Japanese scene says otherwise
+    if (languages[0] === 'zh' && languages.includes('ja')) {
+        languages.push(languages.shift());
+    }
+    return languages;
+}
+
 // ---------------------------------------------------------------------------
 // Display name helpers
 // ---------------------------------------------------------------------------
@@ -289,6 +728,22 @@ export async function fetchWithRetry(url, options, maxRetries = 2) {
     return null;
 }
 
+// ---------------------------------------------------------------------------
+// Explain traces
+// ---------------------------------------------------------------------------
+
+/**
+ * Record a step in an explain trace. Lookups take an optional trace array
+ * (see the explain option of resolveArtistLocation) and do nothing extra
+ * without one.
+ * @param {Array|null} trace - Steps recorded so far
+ * @param {string} step - Step type, e.g. "query" or "candidate"
+ * @param {Object} details - What happened at this step
+ */
+function traceStep(trace, step, details = {}) {
+    if (trace) trace.push({ step, ...details });
+}
+
 // ---------------------------------------------------------------------------
 // MusicBrainz
 // ---------------------------------------------------------------------------
@@ -296,46 +751,65 @@ export async function fetchWithRetry(url, options, maxRetries = 2) {
 /**
  * Fetch artist location from MusicBrainz API.
  * Returns { beginArea, beginAreaId, beginAreaType, area, areaId, areaType,
- *           mbid, artistName } or null.
+ *           mbid, artistName, artistType, country, aliases } or null.
+ * Candidates match on their name, sort name or any alias, so "BTS" finds
+ * 방탄소년단 and "Kino" finds Кино. Those that match are tried best name
+ * match first (see scoreNameMatch), with MusicBrainz's own score breaking
+ * ties, and the result carries the winner's nameScore.
+ * Each candidate considered is recorded in the trace, if one is given.
  */
-export async function fetchFromMusicBrainz(artistName) {
+export async function fetchFromMusicBrainz(artistName, trace = null) {
     try {
         // Use quoted search for better exact matching
-        const encodedName = encodeURIComponent(`"${artistName}"`);
+        const quotedName = `"${artistName}"`;
+        const query = encodeURIComponent(`artist:${quotedName} OR alias:${quotedName}`);
+        const url = `https://musicbrainz.org/ws/2/artist/?query=${query}&limit=5&fmt=json`;
+        traceStep(trace, 'query', { service: 'musicbrainz', url });
         const response = await rateLimiters.musicbrainz.execute(() =>
-            fetchWithRetry(
-                `https://musicbrainz.org/ws/2/artist/?query=artist:${encodedName}&limit=5&fmt=json`,
-                { headers: getHeaders('application/json') }
-            )
+            fetchWithRetry(url, { headers: getHeaders('application/json') })
         );
 
         if (!response || !response.ok) {
             console.warn(`MusicBrainz error for ${artistName}: ${response?.status || 'no response'}`);
+            traceStep(trace, 'error', { service: 'musicbrainz', status: response?.status || null });
             return null;
         }
 
         const data = await response.json();
         const artists = data.artists || [];
 
-        // Track if we found results but rejected them (vs found nothing)
-        let hadCandidates = artists.length > 0;
-
-        // Check multiple results to find the right artist
+        // Score every result, then try the matching ones best first
+        const matching = [];
         for (const artist of artists) {
+            const resultName = artist.name || '';
+            const sortName = artist['sort-name'] || resultName;
+            const candidate = { mbid: artist.id, name: resultName, sort_name: sortName, score: artist.score };
+
             // Verify score is high enough
             if (artist.score < 70) {
+                traceStep(trace, 'candidate', { ...candidate, accepted: false, reason: 'score below 70' });
                 continue;
             }
 
             // Verify the name actually matches (prevents "Keli Holiday" -> "Billie Holiday")
-            const resultName = artist.name || '';
-            const sortName = artist['sort-name'] || resultName;
-            if (!verifyArtistMatch(artistName, sortName)) {
-                console.log(`Name mismatch for ${artistName}: got ${sortName}, skipping`);
+            const variants = artistNameVariants(artist);
+            const match = bestNameMatch(artistName, variants);
+            candidate.name_score = Math.round(match.score * 100) / 100;
+            if (match.score < NAME_MATCH_THRESHOLD) {
+                console.log(`Name mismatch for ${artistName}: got ${resultName}, skipping`);
+                traceStep(trace, 'candidate', { ...candidate, accepted: false, reason: 'name mismatch' });
                 continue;
             }
+            if (match.name !== resultName && match.name !== sortName) {
+                candidate.matched_alias = match.name;
+            }
+            matching.push({ artist, variants, candidate, nameScore: match.score });
+        }
+        matching.sort((a, b) => b.nameScore - a.nameScore || b.artist.score - a.artist.score);
 
-            console.log(`Matched ${artistName} to ${resultName} (score: ${artist.score})`);
+        for (const { artist, variants, candidate, nameScore } of matching) {
+            const resultName = artist.name || '';
+            console.log(`Matched ${artistName} to ${resultName} (score: ${artist.score}, name score: ${candidate.name_score})`);
 
             const beginArea = artist['begin-area']?.name || null;
             const beginAreaId = artist['begin-area']?.id || null;
@@ -346,26 +820,36 @@ export async function fetchFromMusicBrainz(artistName) {
             const mbid = artist.id;
 
             const artistType = artist.type || null; // "Person", "Group", etc.
+            const country = artist.country || null; // ISO code, e.g. "JP"
+            const aliases = (artist.aliases || []).map(alias => alias.name).filter(Boolean);
 
             if (beginArea || area) {
-                return { beginArea, beginAreaId, beginAreaType, area, areaId, areaType, mbid, artistName: resultName, artistType };
+                traceStep(trace, 'candidate', {
+                    ...candidate, accepted: true, reason: 'name matches', begin_area: beginArea, area
+                });
+                return { beginArea, beginAreaId, beginAreaType, area, areaId, areaType, mbid, artistName: resultName, artistType, country, aliases, nameScore };
             }
 
             // Exact match with no location — keep mbid for relationship following
             // For Group types, allow fallbacks (band names are usually unique)
             // For Person/null types, block fallbacks (risk of name collision)
-            if (isExactMatch(artistName, resultName)) {
+            if (variants.some(variant => isExactMatch(artistName, variant))) {
                 const isGroup = artistType === 'Group';
                 console.log(`Exact match for ${artistName} (${artistType || 'unknown'}) has no location, will try relationships`);
+                traceStep(trace, 'candidate', {
+                    ...candidate, accepted: true, reason: 'exact match without a location', type: artistType
+                });
                 return { beginArea: null, beginAreaId: null, beginAreaType: null,
                          area: null, areaId: null, areaType: null,
-                         mbid, artistName: resultName, artistType,
+                         mbid, artistName: resultName, artistType, country, aliases, nameScore,
                          exactMatch: !isGroup }; // Block fallbacks unless it's a Group
             }
+
+            traceStep(trace, 'candidate', { ...candidate, accepted: false, reason: 'no location' });
         }
 
         // If we had candidates but rejected them all, signal that fallbacks are unreliable
-        if (hadCandidates) {
+        if (artists.length > 0) {
             console.log(`No valid match for ${artistName} among ${artists.length} candidates`);
             return { noMatch: true };
         }
@@ -374,6 +858,89 @@ export async function fetchFromMusicBrainz(artistName) {
 
     } catch (error) {
         console.error(`MusicBrainz fetch error for ${artistName}:`, error);
+        traceStep(trace, 'error', { service: 'musicbrainz', message: error.message });
+        return null;
+    }
+}
+
+/**
+ * Look up a MusicBrainz artist by their Spotify artist id.
+ * MusicBrainz stores streaming links as url relationships, so the Spotify
+ * URL identifies the artist without any name matching.
+ * Returns the same shape as fetchFromMusicBrainz, or null if MusicBrainz
+ * has no artist linked to that Spotify URL.
+ */
+export async function fetchMusicBrainzBySpotifyId(spotifyId, trace = null) {
+    try {
+        const resource = encodeURIComponent(`https://open.spotify.com/artist/${spotifyId}`);
+        const url = `https://musicbrainz.org/ws/2/url?resource=${resource}&inc=artist-rels&fmt=json`;
+        traceStep(trace, 'query', { service: 'musicbrainz', url });
+        const response = await rateLimiters.musicbrainz.execute(() =>
+            fetchWithRetry(url, { headers: getHeaders('application/json') })
+        );
+
+        // 404 means no MusicBrainz artist links to this Spotify URL
+        if (!response || !response.ok) {
+            traceStep(trace, 'spotify_link', { spotify_id: spotifyId, linked: 0 });
+            return null;
+        }
+
+        const data = await response.json();
+        const linked = (data.relations || []).filter(rel => rel.artist);
+        traceStep(trace, 'spotify_link', {
+            spotify_id: spotifyId,
+            linked: linked.length,
+            artists: linked.map(rel => ({ mbid: rel.artist.id, name: rel.artist.name }))
+        });
+
+        // A URL shared by several artists (e.g. a collaboration profile) is ambiguous
+        if (linked.length !== 1) {
+            if (linked.length > 1) {
+                console.log(`Spotify id ${spotifyId} links to ${linked.length} MusicBrainz artists, skipping`);
+            }
+            return null;
+        }
+
+        // Relationships come along so the relationship and Wikidata sources
+        // don't need to look the artist up again
+        const mbid = linked[0].artist.id;
+        const artistResponse = await rateLimiters.musicbrainz.execute(() =>
+            fetchWithRetry(
+                `https://musicbrainz.org/ws/2/artist/${mbid}?inc=artist-rels+url-rels&fmt=json`,
+                { headers: getHeaders('application/json') }
+            )
+        );
+
+        if (!artistResponse || !artistResponse.ok) return null;
+
+        const artist = await artistResponse.json();
+        const artistType = artist.type || null;
+        console.log(`Matched Spotify id ${spotifyId} to ${artist.name} (${mbid})`);
+
+        const result = {
+            beginArea: artist['begin-area']?.name || null,
+            beginAreaId: artist['begin-area']?.id || null,
+            beginAreaType: artist['begin-area']?.type || null,
+            area: artist.area?.name || null,
+            areaId: artist.area?.id || null,
+            areaType: artist.area?.type || null,
+            mbid,
+            artistName: artist.name,
+            artistType,
+            country: artist.country || null,
+            relations: artist.relations || []
+        };
+
+        // Same rule as an exact name match: for people, don't let name-based
+        // fallbacks find someone else when MusicBrainz has no location
+        if (!result.beginArea && !result.area) {
+            result.exactMatch = artistType !== 'Group';
+        }
+
+        return result;
+    } catch (error) {
+        console.error(`MusicBrainz URL lookup error for ${spotifyId}:`, error);
+        traceStep(trace, 'error', { service: 'musicbrainz', message: error.message });
         return null;
     }
 }
@@ -381,11 +948,23 @@ export async function fetchFromMusicBrainz(artistName) {
 /**
  * Resolve the geographic context for an area by looking up its MusicBrainz area hierarchy.
  * Returns { country, subdivision } where subdivision is the state/province/region name.
+ * Results are cached by area MBID, including each parent area visited.
  */
 export async function resolveAreaContext(areaId, depth = 0) {
     // Limit recursion depth to prevent infinite loops
     if (depth > 5) return { country: null, subdivision: null };
 
+    const context = await cachedLookup(`area:${areaId}`, async () => {
+        const result = await fetchAreaContext(areaId, depth);
+        return result.country ? result : null;
+    });
+    return context || { country: null, subdivision: null };
+}
+
+/**
+ * Fetch an area's hierarchy from MusicBrainz (uncached, see resolveAreaContext)
+ */
+async function fetchAreaContext(areaId, depth) {
     try {
         const response = await rateLimiters.musicbrainz.execute(() =>
             fetchWithRetry(
@@ -448,24 +1027,34 @@ export async function resolveAreaCountry(areaId) {
     return context.country;
 }
 
+/**
+ * Look up a MusicBrainz artist's artist and url relationships in one
+ * request, since both the "is person" link and the Wikidata link are read
+ * from them. Returns the relations, or null if the lookup failed.
+ */
+async function fetchArtistRelations(mbid, trace = null) {
+    const url = `https://musicbrainz.org/ws/2/artist/${mbid}?inc=artist-rels+url-rels&fmt=json`;
+    traceStep(trace, 'query', { service: 'musicbrainz', url });
+    const response = await rateLimiters.musicbrainz.execute(() =>
+        fetchWithRetry(url, { headers: getHeaders('application/json') })
+    );
+    if (!response || !response.ok) return null;
+
+    const data = await response.json();
+    return data.relations || [];
+}
+
 /**
  * Follow MusicBrainz "is person" relationships to find the real person
  * behind a performance name, and return their location info.
+ * Pass the artist's relations if they've already been fetched.
  */
-export async function fetchLocationViaRelationships(mbid) {
+export async function fetchLocationViaRelationships(mbid, trace = null, relations = null) {
     try {
-        const response = await rateLimiters.musicbrainz.execute(() =>
-            fetchWithRetry(
-                `https://musicbrainz.org/ws/2/artist/${mbid}?inc=artist-rels&fmt=json`,
-                { headers: getHeaders('application/json') }
-            )
-        );
-
-        if (!response || !response.ok) return null;
-
-        const data = await response.json();
+        if (!relations) relations = await fetchArtistRelations(mbid, trace);
+        if (!relations) return null;
 
-        for (const rel of (data.relations || [])) {
+        for (const rel of relations) {
             if (rel['type-id'] === IS_PERSON_TYPE_ID && rel.artist) {
                 const personMbid = rel.artist.id;
                 console.log(`Following "is person" link to ${rel.artist.name} (${personMbid})`);
@@ -487,6 +1076,9 @@ export async function fetchLocationViaRelationships(mbid) {
                 const areaId = person.area?.id || null;
                 const areaType = person.area?.type || null;
 
+                traceStep(trace, 'relationship', {
+                    mbid: personMbid, name: person.name, begin_area: beginArea, area
+                });
                 if (beginArea || area) {
                     return { beginArea, beginAreaId, beginAreaType,
                              area, areaId, areaType,
@@ -498,6 +1090,7 @@ export async function fetchLocationViaRelationships(mbid) {
         return null;
     } catch (e) {
         console.error('Relationship lookup error:', e);
+        traceStep(trace, 'error', { service: 'musicbrainz', message: e.message });
         return null;
     }
 }
@@ -510,10 +1103,17 @@ export async function fetchLocationViaRelationships(mbid) {
  * Fetch artist location from Wikipedia API
  * Searches for the artist page and extracts origin/birthplace from infobox
  */
-export async function fetchFromWikipedia(searchQuery) {
+export async function fetchFromWikipedia(searchQuery, trace = null) {
+    const location = await searchWikipedia(searchQuery, trace);
+    traceStep(trace, 'wikipedia', { query: searchQuery, location });
+    return location;
+}
+
+async function searchWikipedia(searchQuery, trace) {
     try {
         // Search Wikipedia for the page
         const searchUrl = `https://en.wikipedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(searchQuery)}&format=json&origin=*`;
+        traceStep(trace, 'query', { service: 'wikipedia', url: searchUrl });
         const searchResponse = await rateLimiters.wikipedia.execute(() =>
             fetch(searchUrl, { headers: getHeaders() })
         );
@@ -527,6 +1127,7 @@ export async function fetchFromWikipedia(searchQuery) {
 
         // Get the page content with infobox data via parse API
         const parseUrl = `https://en.wikipedia.org/w/api.php?action=parse&page=${encodeURIComponent(pageTitle)}&prop=wikitext&section=0&format=json&origin=*`;
+        traceStep(trace, 'query', { service: 'wikipedia', url: parseUrl });
         const parseResponse = await rateLimiters.wikipedia.execute(() =>
             fetch(parseUrl, { headers: getHeaders() })
         );
@@ -559,37 +1160,105 @@ export async function fetchFromWikipedia(searchQuery) {
 
     } catch (error) {
         console.error(`Wikipedia fetch error for ${searchQuery}:`, error);
+        traceStep(trace, 'error', { service: 'wikipedia', message: error.message });
+        return null;
+    }
+}
+
+/**
+ * Find the Wikidata item for an artist's article on another language's
+ * Wikipedia, whose infoboxes don't share English field names. The top
+ * search hit must be titled with the artist's name (a qualifier such as
+ * "(band)" aside), since there's no "musician" suffix to add to the query
+ * in every language.
+ * Returns "Q123" or null.
+ */
+export async function fetchWikipediaEntityId(name, lang, trace = null) {
+    if (!/^[a-z]{2,3}$/.test(lang)) return null;
+    const api = `https://${lang}.wikipedia.org/w/api.php`;
+
+    try {
+        const searchUrl = `${api}?action=query&list=search&srsearch=${encodeURIComponent(name)}&srlimit=1&format=json&origin=*`;
+        traceStep(trace, 'query', { service: 'wikipedia', url: searchUrl });
+        const searchResponse = await rateLimiters.wikipedia.execute(() =>
+            fetch(searchUrl, { headers: getHeaders() })
+        );
+        if (!searchResponse.ok) return null;
+
+        const searchData = await searchResponse.json();
+        const title = searchData.query?.search?.[0]?.title || null;
+        const bareTitle = title?.replace(/\s*[(\uff08][^)\uff09]*[)\uff09]\s*$/, '');
+        if (!bareTitle || !verifyArtistMatch(name, bareTitle)) {
+            traceStep(trace, 'wikipedia_entity', { lang, query: name, title, entity: null });
+            return null;
+        }
+
+        const propsUrl = `${api}?action=query&prop=pageprops&ppprop=wikibase_item&titles=${encodeURIComponent(title)}&redirects=1&format=json&origin=*`;
+        traceStep(trace, 'query', { service: 'wikipedia', url: propsUrl });
+        const propsResponse = await rateLimiters.wikipedia.execute(() =>
+            fetch(propsUrl, { headers: getHeaders() })
+        );
+        if (!propsResponse.ok) return null;
+
+        const propsData = await propsResponse.json();
+        const page = Object.values(propsData.query?.pages || {})[0];
+        const entity = page?.pageprops?.wikibase_item || null;
+        traceStep(trace, 'wikipedia_entity', { lang, query: name, title, entity });
+        return entity;
+    } catch (error) {
+        console.error(`Wikipedia (${lang}) fetch error for ${name}:`, error);
+        traceStep(trace, 'error', { service: 'wikipedia', message: error.message });
         return null;
     }
 }
 
 /**
  * Fetch artist location from Wikidata SPARQL
+ * Matches the English label, plus the label in each of the given languages
+ * (see artistLanguages). artistName may be a list of names to try, e.g. the
+ * name on Spotify and the MusicBrainz name in its own script.
  */
-export async function fetchFromWikidata(artistName) {
+export async function fetchFromWikidata(artistName, trace = null, languages = []) {
+    const location = await queryWikidata([].concat(artistName), languages, trace);
+    traceStep(trace, 'wikidata', {
+        name: [].concat(artistName).join(' / '),
+        ...(languages.length > 0 && { languages }),
+        location
+    });
+    return location;
+}
+
+async function queryWikidata(names, languages, trace) {
+    const langs = ['en', ...languages.filter(lang => /^[a-z]{2,3}$/.test(lang) && lang !== 'en')];
+    const labels = names.flatMap(name =>
+        langs.map(lang => `"${name.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"@${lang}`)
+    ).join(' ');
+    const artistName = names[0];
+
     try {
         // SPARQL query to find artist and their place of birth or formation
         const sparql = `
             SELECT ?placeLabel WHERE {
+                VALUES ?label { ${labels} }
                 ?artist wdt:P31 wd:Q5 ;
-                        rdfs:label "${artistName.replace(/"/g, '\\"')}"@en .
+                        rdfs:label ?label .
                 { ?artist wdt:P19 ?place . }
                 UNION
                 { ?artist wdt:P740 ?place . }
-                SERVICE wikibase:label { bd:serviceParam wikibase:language "en". }
+                SERVICE wikibase:label { bd:serviceParam wikibase:language "${langs.join(',')}". }
             }
             LIMIT 1
         `;
 
+        const url = `https://query.wikidata.org/sparql?query=${encodeURIComponent(sparql)}&format=json`;
+        traceStep(trace, 'query', { service: 'wikidata', url });
         const response = await rateLimiters.wikidata.execute(() =>
-            fetch(
-                `https://query.wikidata.org/sparql?query=${encodeURIComponent(sparql)}&format=json`,
-                { headers: getHeaders('application/sparql-results+json') }
-            )
+            fetch(url, { headers: getHeaders('application/sparql-results+json') })
         );
 
         if (!response.ok) {
             console.warn(`Wikidata error for ${artistName}: ${response.status}`);
+            traceStep(trace, 'error', { service: 'wikidata', status: response.status });
             return null;
         }
 
@@ -602,19 +1271,19 @@ export async function fetchFromWikidata(artistName) {
         // Try searching for bands/groups
         const bandSparql = `
             SELECT ?placeLabel WHERE {
+                VALUES ?label { ${labels} }
                 ?artist wdt:P31 wd:Q215380 ;
-                        rdfs:label "${artistName.replace(/"/g, '\\"')}"@en .
+                        rdfs:label ?label .
                 ?artist wdt:P740 ?place .
-                SERVICE wikibase:label { bd:serviceParam wikibase:language "en". }
+                SERVICE wikibase:label { bd:serviceParam wikibase:language "${langs.join(',')}". }
             }
             LIMIT 1
         `;
 
+        const bandUrl = `https://query.wikidata.org/sparql?query=${encodeURIComponent(bandSparql)}&format=json`;
+        traceStep(trace, 'query', { service: 'wikidata', url: bandUrl });
         const bandResponse = await rateLimiters.wikidata.execute(() =>
-            fetch(
-                `https://query.wikidata.org/sparql?query=${encodeURIComponent(bandSparql)}&format=json`,
-                { headers: getHeaders('application/sparql-results+json') }
-            )
+            fetch(bandUrl, { headers: getHeaders('application/sparql-results+json') })
         );
 
         if (bandResponse.ok) {
@@ -628,15 +1297,165 @@ export async function fetchFromWikidata(artistName) {
 
     } catch (error) {
         console.error(`Wikidata fetch error for ${artistName}:`, error);
+        traceStep(trace, 'error', { service: 'wikidata', message: error.message });
+        return null;
+    }
+}
+
+/**
+ * Find an artist's Wikidata entity by identifier rather than by name: first
+ * the Wikidata link on their MusicBrainz artist (read from `relations` when
+ * given, else looked up), then the Wikidata item whose Spotify artist ID
+ * (P1902) matches.
+ * Returns { id: "Q123", via: "musicbrainz" | "spotify" } or null.
+ */
+export async function fetchWikidataEntityId({ mbid = null, spotifyId = null, relations = null } = {}, trace = null) {
+    if (mbid) {
+        const id = await fetchWikidataLinkFromMusicBrainz(mbid, trace, relations);
+        if (id) return { id, via: 'musicbrainz' };
+    }
+
+    if (spotifyId && /^[A-Za-z0-9]+$/.test(spotifyId)) {
+        const id = await fetchWikidataIdForSpotifyId(spotifyId, trace);
+        if (id) return { id, via: 'spotify' };
+    }
+
+    return null;
+}
+
+/**
+ * Read the Wikidata url relationship of a MusicBrainz artist
+ */
+async function fetchWikidataLinkFromMusicBrainz(mbid, trace, relations = null) {
+    try {
+        if (!relations) relations = await fetchArtistRelations(mbid, trace);
+        if (!relations) return null;
+
+        const ids = relations
+            .filter(rel => rel.type === 'wikidata')
+            .map(rel => rel.url?.resource?.match(/\/(Q\d+)$/)?.[1])
+            .filter(Boolean);
+        traceStep(trace, 'wikidata_entity', { via: 'musicbrainz', mbid, entity: ids.length === 1 ? ids[0] : null });
+
+        // An artist linked to several items (e.g. a duo and its members) is ambiguous
+        return ids.length === 1 ? ids[0] : null;
+    } catch (e) {
+        console.warn('MusicBrainz url lookup error:', e);
+        traceStep(trace, 'error', { service: 'musicbrainz', message: e.message });
+        return null;
+    }
+}
+
+/**
+ * Find the Wikidata item with a Spotify artist ID (P1902)
+ */
+async function fetchWikidataIdForSpotifyId(spotifyId, trace) {
+    try {
+        const sparql = `
+            SELECT ?item WHERE { ?item wdt:P1902 "${spotifyId}" . } LIMIT 2
+        `;
+        const url = `https://query.wikidata.org/sparql?query=${encodeURIComponent(sparql)}&format=json`;
+        traceStep(trace, 'query', { service: 'wikidata', url });
+        const response = await rateLimiters.wikidata.execute(() =>
+            fetch(url, { headers: getHeaders('application/sparql-results+json') })
+        );
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        const ids = (data.results?.bindings || [])
+            .map(binding => binding.item?.value?.match(/\/(Q\d+)$/)?.[1])
+            .filter(Boolean);
+        traceStep(trace, 'wikidata_entity', { via: 'spotify', spotify_id: spotifyId, entity: ids.length === 1 ? ids[0] : null });
+
+        return ids.length === 1 ? ids[0] : null;
+    } catch (e) {
+        console.warn('Wikidata Spotify id lookup error:', e);
+        traceStep(trace, 'error', { service: 'wikidata', message: e.message });
+        return null;
+    }
+}
+
+/**
+ * Read where a Wikidata entity is from: location of formation (P740),
+ * falling back to place of birth (P19), with the place's coordinates (P625)
+ * and country (P17).
+ * Returns { property, name, displayName: "Place, Country", coords: [lat, lon] | null }
+ * or null when the entity has neither statement.
+ */
+export async function fetchWikidataPlace(entityId, trace = null) {
+    if (!/^Q\d+$/.test(entityId)) return null;
+
+    try {
+        const sparql = `
+            SELECT ?property ?placeLabel ?coord ?countryLabel WHERE {
+                { wd:${entityId} wdt:P740 ?place . BIND("P740" AS ?property) }
+                UNION
+                { wd:${entityId} wdt:P19 ?place . BIND("P19" AS ?property) }
+                OPTIONAL { ?place wdt:P625 ?coord . }
+                OPTIONAL { ?place wdt:P17 ?country . }
+                SERVICE wikibase:label { bd:serviceParam wikibase:language "en". }
+            }
+        `;
+        const url = `https://query.wikidata.org/sparql?query=${encodeURIComponent(sparql)}&format=json`;
+        traceStep(trace, 'query', { service: 'wikidata', url });
+        const response = await rateLimiters.wikidata.execute(() =>
+            fetch(url, { headers: getHeaders('application/sparql-results+json') })
+        );
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        const places = (data.results?.bindings || []).map(binding => {
+            const name = binding.placeLabel?.value;
+            const country = binding.countryLabel?.value;
+            return {
+                property: binding.property?.value,
+                name,
+                displayName: country && country !== name ? `${name}, ${country}` : name,
+                coords: parseWikidataPoint(binding.coord?.value)
+            };
+        }).filter(place => place.name);
+
+        // Formation over birth place, and places with coordinates first
+        const rank = place => (place.property === 'P740' ? 0 : 2) + (place.coords ? 0 : 1);
+        const place = places.sort((a, b) => rank(a) - rank(b))[0] || null;
+        traceStep(trace, 'wikidata_place', {
+            entity: entityId,
+            property: place?.property || null,
+            location: place?.displayName || null,
+            coords: place?.coords || null
+        });
+        return place;
+    } catch (e) {
+        console.warn('Wikidata place lookup error:', e);
+        traceStep(trace, 'error', { service: 'wikidata', message: e.message });
         return null;
     }
 }
 
+/**
+ * Parse a Wikidata globe coordinate ("Point(lon lat)") into [lat, lon]
+ */
+function parseWikidataPoint(value) {
+    const match = value?.match(/^Point\(\s*(-?[\d.]+)\s+(-?[\d.]+)\s*\)$/);
+    return match ? [parseFloat(match[2]), parseFloat(match[1])] : null;
+}
+
 /**
  * Look up the capital city of a subdivision via Wikidata SPARQL.
  * e.g. "Western Australia" → "Perth", "New South Wales" → "Sydney"
+ * Results are cached by subdivision name.
  */
-export async function fetchSubdivisionCapital(subdivisionName) {
+export async function fetchSubdivisionCapital(subdivisionName, trace = null) {
+    let cached = true;
+    const capital = await cachedLookup(`capital:${subdivisionName.toLowerCase()}`, () => {
+        cached = false;
+        return querySubdivisionCapital(subdivisionName);
+    });
+    traceStep(trace, 'capital', { subdivision: subdivisionName, capital, cached });
+    return capital;
+}
+
+async function querySubdivisionCapital(subdivisionName) {
     try {
         const sparql = `
             SELECT ?capitalLabel WHERE {
@@ -656,7 +1475,7 @@ export async function fetchSubdivisionCapital(subdivisionName) {
         if (!response.ok) return null;
         const data = await response.json();
         if (data.results?.bindings?.length > 0) {
-            return data.results.bindings[0].capitalLabel?.value;
+            return data.results.bindings[0].capitalLabel?.value || null;
         }
         return null;
     } catch (e) {
@@ -673,23 +1492,45 @@ export async function fetchSubdivisionCapital(subdivisionName) {
  * Geocode a location name to coordinates.
  * Returns { coords: [lat, lon], displayName: "City, Country", addressType } or null.
  * Tries Nominatim first, falls back to Photon (both free, OSM-based).
+ * Results are cached by query. With a trace, records the query, its
+ * result, whether it came from the cache and each geocoder tried.
  */
-export async function geocodeLocation(locationName) {
+export async function geocodeLocation(locationName, trace = null) {
+    let cached = true;
+    const result = await cachedLookup(`geocode:${locationName.trim().toLowerCase()}`, () => {
+        cached = false;
+        return geocodeUncached(locationName, trace);
+    });
+    traceStep(trace, 'geocode', {
+        query: locationName,
+        result: result && { display_name: result.displayName, coords: result.coords, address_type: result.addressType || null },
+        cached
+    });
+    return result;
+}
+
+async function geocodeUncached(locationName, trace = null) {
+    const attempt = async (service, query, geocode) => {
+        const found = await geocode(query);
+        traceStep(trace, 'geocode_attempt', { service, query, found: !!found });
+        return found;
+    };
+
     // Try Nominatim first
-    let result = await geocodeWithNominatim(locationName);
+    let result = await attempt('nominatim', locationName, geocodeWithNominatim);
     if (result) return result;
 
     // Fallback to Photon (no display_name, so we keep the original)
-    let coords = await geocodeWithPhoton(locationName);
+    let coords = await attempt('photon', locationName, geocodeWithPhoton);
     if (coords) return { coords, displayName: locationName };
 
     // Try simplified location (just country)
     if (locationName.includes(',')) {
         const parts = locationName.split(',');
         const country = parts[parts.length - 1].trim();
-        result = await geocodeWithNominatim(country);
+        result = await attempt('nominatim', country, geocodeWithNominatim);
         if (result) return result;
-        coords = await geocodeWithPhoton(country);
+        coords = await attempt('photon', country, geocodeWithPhoton);
         if (coords) return { coords, displayName: country };
     }
 
@@ -754,173 +1595,553 @@ export async function geocodeWithPhoton(query) {
  * For subdivisions (e.g. "Western Australia"), snaps to the capital city.
  * Returns { coords, displayName } or null.
  */
-export async function geocodeMusicBrainzResult(bestArea) {
+export async function geocodeMusicBrainzResult(bestArea, trace = null) {
     const context = bestArea.id ? await resolveAreaContext(bestArea.id) : { country: null, subdivision: null };
     const { country, subdivision } = context;
+    traceStep(trace, 'area_context', { area: bestArea.name, type: bestArea.type, country, subdivision });
 
     // For subdivisions, snap to the capital city (avoids geocoding to the
     // geographic centre of huge regions like Western Australia)
     if (bestArea.type?.toLowerCase() === 'subdivision') {
-        const capital = await fetchSubdivisionCapital(bestArea.name);
+        const capital = await fetchSubdivisionCapital(bestArea.name, trace);
         if (capital) {
             const query = country ? `${capital}, ${country}` : capital;
-            const geoResult = await geocodeLocation(query);
+            const geoResult = await geocodeLocation(query, trace);
             if (geoResult) return geoResult;
         }
     }
 
     // Geocode with full context (subdivision + country) for disambiguation
     if (subdivision && country) {
-        const geoResult = await geocodeLocation(`${bestArea.name}, ${subdivision}, ${country}`);
+        const geoResult = await geocodeLocation(`${bestArea.name}, ${subdivision}, ${country}`, trace);
         if (geoResult) return geoResult;
     }
 
     // Try with just subdivision (state)
     if (subdivision) {
-        const geoResult = await geocodeLocation(`${bestArea.name}, ${subdivision}`);
+        const geoResult = await geocodeLocation(`${bestArea.name}, ${subdivision}`, trace);
         if (geoResult) return geoResult;
     }
 
     // Geocode with country context
     if (country) {
-        const geoResult = await geocodeLocation(`${bestArea.name}, ${country}`);
+        const geoResult = await geocodeLocation(`${bestArea.name}, ${country}`, trace);
         if (geoResult) return geoResult;
     }
 
     // Try without country
-    const geoResult = await geocodeLocation(bestArea.name);
+    const geoResult = await geocodeLocation(bestArea.name, trace);
     if (geoResult) return geoResult;
 
     return null;
 }
 
 // ---------------------------------------------------------------------------
-// Main orchestrator
+// Provenance and confidence
 // ---------------------------------------------------------------------------
 
 /**
- * Resolve an artist's location using all available sources.
- * Returns { location_name, location_coord } where location_coord is [lat, lon] or null.
- *
- * Resolution order:
- * 1. MusicBrainz begin-area/area (if city-level)
- * 2. MusicBrainz "is person" relationships
- * 3. Wikidata P19/P740
- * 4. Wikipedia infobox scraping
- * 5. MusicBrainz area (with subdivision capital snap)
+ * Where a resolved location came from, and how much it is trusted by default.
+ * - musicbrainz: city-level begin-area/area of the matched artist
+ * - musicbrainz-relationship: area of the person behind an "is person" link
+ * - wikidata-entity: P740 (location of formation) / P19 (place of birth) of
+ *   the Wikidata item linked from MusicBrainz or by Spotify id
+ * - wikidata: P19 / P740 of an item found by its English label
+ * - wikipedia: origin/birth_place scraped from the infobox
+ * - musicbrainz-area: coarse (country/subdivision) MusicBrainz area fallback
+ */
+export const SOURCE_CONFIDENCE = {
+    'musicbrainz': 0.9,
+    'musicbrainz-relationship': 0.8,
+    'wikidata-entity': 0.8,
+    'wikidata': 0.6,
+    'wikipedia': 0.5,
+    'musicbrainz-area': 0.4
+};
+
+/**
+ * Score how much to trust a resolved location (0-1).
+ * matchedBy is how the MusicBrainz artist was identified: 'spotify' (URL
+ * relationship), 'exact' (exact name), 'fuzzy' (verifyArtistMatch) or null.
+ * Locations that could not be geocoded are halved.
  */
-export async function resolveArtistLocation(artistName) {
-    let mbResult = await fetchFromMusicBrainz(artistName);
+export function scoreConfidence(source, { matchedBy = null, geocoded = true } = {}) {
+    let confidence = SOURCE_CONFIDENCE[source] ?? 0;
 
-    // If MusicBrainz had candidates but we rejected them all, don't trust fallbacks
-    if (mbResult?.noMatch) {
-        console.log(`Rejected all MusicBrainz candidates for ${artistName}, returning Unknown`);
-        return { location_name: 'Unknown', location_coord: null };
+    if (matchedBy === 'spotify') confidence += 0.1;
+    if (matchedBy === 'fuzzy') confidence -= 0.15;
+    if (!geocoded) confidence *= 0.5;
+
+    return Math.round(Math.min(Math.max(confidence, 0), 1) * 100) / 100;
+}
+
+/**
+ * Build a resolver result from a geocode result plus provenance.
+ * Falls back to the raw location name when geocoding failed.
+ */
+function buildLocationResult(geoResult, locationName, provenance) {
+    const { source, mbid = null, matchedName = null, areaType = null, matchedBy = null } = provenance;
+    return {
+        location_name: geoResult ? geoResult.displayName : locationName,
+        location_coord: geoResult ? geoResult.coords : null,
+        source,
+        mbid,
+        matched_name: matchedName,
+        area_type: areaType,
+        confidence: scoreConfidence(source, { matchedBy, geocoded: !!geoResult })
+    };
+}
+
+/**
+ * Build an Unknown result, keeping the MusicBrainz match if there was one.
+ */
+function buildUnknownResult(mbid = null, matchedName = null) {
+    return {
+        location_name: 'Unknown',
+        location_coord: null,
+        source: null,
+        mbid,
+        matched_name: matchedName,
+        area_type: null,
+        confidence: 0
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Source providers
+// ---------------------------------------------------------------------------
+
+/**
+ * Each source is { name, resolve(artist, context) } where artist is
+ * { name, spotifyId, genres } and resolve returns a location result, or null to let
+ * the next source try. Sources share a context object, which holds what the
+ * sources before them learned:
+ * - match: the MusicBrainz artist { mbid, matchedName, matchedBy }
+ * - country: that artist's ISO country code, which hints at the languages
+ *   worth searching in (see artistLanguages)
+ * - mbResult: that artist's areas (or the person's, once a relationship
+ *   has been followed)
+ * - bestArea: the most specific of those areas
+ * - rejected: MusicBrainz had candidates but none of them matched
+ * - relations: promise of the matched artist's MusicBrainz relationships
+ *   (see matchedArtistRelations)
+ * - wikidataEntityId: the artist's Wikidata item, once found by identifier
+ * - trace: steps recorded for the explain option (null when not explaining),
+ *   to be passed on to the lookups
+ * Sources marked searchesByName look the artist up by name alone, so they
+ * are skipped when MusicBrainz already identified someone without a
+ * location (see resolveArtistLocation). A source can also have a
+ * skip(context) function returning why it should be skipped, or null.
+ */
+
+/**
+ * Geocode context.bestArea as the result of a MusicBrainz-based source
+ */
+async function resolveBestArea(context, source) {
+    const geoResult = await geocodeMusicBrainzResult(context.bestArea, context.trace);
+    return buildLocationResult(geoResult, context.bestArea.name, {
+        ...context.match, source, areaType: context.bestArea.type
+    });
+}
+
+/**
+ * Build a result for a Wikidata place, using its own coordinates and
+ * geocoding its name only when it has none
+ */
+async function buildWikidataPlaceResult(place, provenance, trace) {
+    const geoResult = place.coords
+        ? { coords: place.coords, displayName: place.displayName, addressType: null }
+        : await geocodeLocation(place.displayName, trace);
+    return buildLocationResult(geoResult, place.displayName, {
+        ...provenance,
+        areaType: geoResult?.addressType || null
+    });
+}
+
+/**
+ * Names a name-based source should search for: the name as given, and the
+ * MusicBrainz artist's own name when it matched through an alias or
+ * another script (e.g. "Kino" → "Кино")
+ */
+function searchNames(artist, context) {
+    const matchedName = context.match?.matchedName;
+    return matchedName && normalizeName(matchedName) !== normalizeName(artist.name)
+        ? [artist.name, matchedName]
+        : [artist.name];
+}
+
+/**
+ * Non-English languages to search in, from the names, MusicBrainz country
+ * and Spotify genres
+ */
+function searchLanguages(artist, context) {
+    return artistLanguages({
+        name: searchNames(artist, context).join(' '),
+        country: context.country,
+        genres: artist.genres
+    });
+}
+
+/**
+ * Build a result for a place name found by a name-based source
+ */
+function buildNamedPlaceResult(geoResult, locationName, source, context) {
+    return buildLocationResult(geoResult, locationName, {
+        mbid: context.match?.mbid,
+        matchedName: context.match?.matchedName,
+        source,
+        areaType: geoResult?.addressType || null
+    });
+}
+
+/**
+ * MusicBrainz begin-area/area, when it is city-level. Finds the artist by
+ * Spotify id when one is given, otherwise by name.
+ */
+const musicBrainzSource = {
+    name: 'musicbrainz',
+
+    async resolve(artist, context) {
+        let mbResult = artist.spotifyId
+            ? await fetchMusicBrainzBySpotifyId(artist.spotifyId, context.trace)
+            : null;
+        let matchedBy = mbResult ? 'spotify' : null;
+
+        if (!mbResult) {
+            mbResult = await fetchFromMusicBrainz(artist.name, context.trace);
+        }
+        if (!mbResult) return null;
+
+        // Candidates were found but rejected, so name-based sources would
+        // likely find the wrong artist too
+        if (mbResult.noMatch) {
+            context.rejected = true;
+            return null;
+        }
+
+        if (!matchedBy) {
+            const names = [mbResult.artistName, ...(mbResult.aliases || [])];
+            matchedBy = names.some(name => isExactMatch(artist.name, name)) ? 'exact' : 'fuzzy';
+        }
+        context.match = { mbid: mbResult.mbid || null, matchedName: mbResult.artistName || null, matchedBy };
+        context.country = mbResult.country || null;
+        if (mbResult.relations) context.relations = Promise.resolve(mbResult.relations);
+        context.mbResult = mbResult;
+        context.bestArea = (mbResult.beginArea || mbResult.area) ? chooseBestArea(mbResult) : null;
+        traceStep(context.trace, 'best_area', {
+            area: context.bestArea?.name || null,
+            type: context.bestArea?.type || null,
+            city_level: !!context.bestArea && isCityLevel(context.bestArea.type)
+        });
+
+        if (!context.bestArea || !isCityLevel(context.bestArea.type)) return null;
+        return resolveBestArea(context, 'musicbrainz');
     }
+};
 
-    let bestArea = (mbResult && (mbResult.beginArea || mbResult.area))
-        ? chooseBestArea(mbResult) : null;
+/**
+ * The matched MusicBrainz artist's relationships, looked up at most once per
+ * resolution and shared by the relationship and Wikidata sources. Already
+ * known when the artist was found by Spotify id.
+ * @returns {Promise<Array|null>} null if the lookup failed
+ */
+function matchedArtistRelations(context) {
+    if (!context.relations) {
+        context.relations = fetchArtistRelations(context.match.mbid, context.trace).catch(e => {
+            console.warn('MusicBrainz relationship lookup error:', e);
+            traceStep(context.trace, 'error', { service: 'musicbrainz', message: e.message });
+            return null;
+        });
+    }
+    return context.relations;
+}
 
-    let result;
+/**
+ * MusicBrainz "is person" relationships (e.g. Keli Holiday → Adam Hyde).
+ * Needs the musicbrainz source to have run first.
+ */
+const relationshipSource = {
+    name: 'musicbrainz-relationship',
 
-    if (bestArea && isCityLevel(bestArea.type)) {
-        // City-level area — geocode directly with country resolution
-        const geoResult = await geocodeMusicBrainzResult(bestArea);
-        result = {
-            location_name: geoResult ? geoResult.displayName : bestArea.name,
-            location_coord: geoResult ? geoResult.coords : null
-        };
-    } else {
-        // Not specific enough — try to enhance
-
-        // 4a. Try "is person" relationships (e.g. Keli Holiday → Adam Hyde)
-        if (mbResult && mbResult.mbid) {
-            const personResult = await fetchLocationViaRelationships(mbResult.mbid);
-            if (personResult) {
-                mbResult = personResult;
-                bestArea = chooseBestArea(mbResult);
+    async resolve(artist, context) {
+        if (!context.match?.mbid) return null;
+
+        const relations = await matchedArtistRelations(context);
+        if (!relations) return null;
+        const person = await fetchLocationViaRelationships(context.match.mbid, context.trace, relations);
+        if (!person) return null;
+
+        // The person's area replaces the artist's, even if it isn't city-level,
+        // so the area fallback uses it
+        context.mbResult = person;
+        context.bestArea = chooseBestArea(person);
+
+        if (!isCityLevel(context.bestArea.type)) return null;
+        return resolveBestArea(context, 'musicbrainz-relationship');
+    }
+};
+
+/**
+ * Wikidata P740 (location of formation) / P19 (place of birth) of the
+ * artist's Wikidata item, found by MusicBrainz link or Spotify id. Uses the
+ * place's own coordinates, geocoding its name only when it has none.
+ */
+const wikidataEntitySource = {
+    name: 'wikidata-entity',
+
+    async resolve(artist, context) {
+        const mbid = context.match?.mbid || null;
+        const entity = await fetchWikidataEntityId({
+            mbid,
+            spotifyId: artist.spotifyId,
+            // A failed lookup counts as no link rather than being retried
+            relations: mbid ? (await matchedArtistRelations(context)) || [] : null
+        }, context.trace);
+        if (!entity) return null;
+        context.wikidataEntityId = entity.id;
+
+        const place = await fetchWikidataPlace(entity.id, context.trace);
+        if (!place) return null;
+
+        return buildWikidataPlaceResult(place, {
+            ...context.match,
+            matchedBy: entity.via === 'spotify' ? 'spotify' : context.match?.matchedBy,
+            source: 'wikidata-entity'
+        }, context.trace);
+    }
+};
+
+/**
+ * Wikidata P19 (place of birth) / P740 (location of formation) of an item
+ * found by its label, in English or one of the artist's likely languages.
+ * Only for artists MusicBrainz has no match for: otherwise the artist's
+ * own item is found by wikidata-entity, and a label match may be a namesake.
+ */
+const wikidataSource = {
+    name: 'wikidata',
+    searchesByName: true,
+
+    skip(context) {
+        if (context.wikidataEntityId) return `Wikidata item ${context.wikidataEntityId} has no place`;
+        if (context.match) return 'MusicBrainz matched the artist';
+        return null;
+    },
+
+    async resolve(artist, context) {
+        const location = await fetchFromWikidata(
+            searchNames(artist, context), context.trace, searchLanguages(artist, context)
+        );
+        if (!location) return null;
+
+        const geoResult = await geocodeLocation(location, context.trace);
+        return buildNamedPlaceResult(geoResult, location, 'wikidata', context);
+    }
+};
+
+/**
+ * Wikipedia infobox origin/birth_place, snapped to the subdivision capital
+ * when it only names a state or region. When English Wikipedia has nothing,
+ * the artist's article in their likely languages is looked up instead, and
+ * the place read from its Wikidata item.
+ */
+const wikipediaSource = {
+    name: 'wikipedia',
+    searchesByName: true,
+
+    async resolve(artist, context) {
+        const { trace } = context;
+        let wikiLocation = await fetchFromWikipedia(artist.name + ' musician', trace);
+        if (!wikiLocation) wikiLocation = await fetchFromWikipedia(artist.name + ' band', trace);
+        if (!wikiLocation) wikiLocation = await fetchFromWikipedia(artist.name, trace);
+        if (!wikiLocation) return resolveOtherLanguages(artist, context);
+
+        // Try geocoding it directly first
+        let geoResult = await geocodeLocation(wikiLocation, trace);
+
+        if (!geoResult || !isCityLevelGeocode(geoResult)) {
+            // Subdivision/region, or geocoding failed — try the capital
+            const subdivisionName = wikiLocation.split(',')[0].trim();
+            const capital = await fetchSubdivisionCapital(subdivisionName, trace);
+            if (capital) {
+                const capitalResult = await geocodeLocation(`${capital}, ${wikiLocation}`, trace);
+                if (capitalResult) geoResult = capitalResult;
             }
         }
 
-        // 4b. If relationships gave us city-level data, use it
-        if (bestArea && isCityLevel(bestArea.type)) {
-            const geoResult = await geocodeMusicBrainzResult(bestArea);
-            result = {
-                location_name: geoResult ? geoResult.displayName : bestArea.name,
-                location_coord: geoResult ? geoResult.coords : null
-            };
-        } else if (mbResult?.exactMatch && !bestArea) {
-            // 4b-alt. Exact match in MusicBrainz but no location data
-            // Don't try fallbacks - they might find a different person with same name
-            console.log(`Exact match for ${artistName} has no location, returning Unknown`);
-            result = {
-                location_name: 'Unknown',
-                location_coord: null
-            };
-        } else {
-            // 4c. Try Wikidata P19/P740 for artist directly
-            let wikidataLocation = await fetchFromWikidata(artistName);
-
-            if (wikidataLocation) {
-                // 4d. Wikidata returned something — geocode it
-                const geoResult = await geocodeLocation(wikidataLocation);
-                result = {
-                    location_name: geoResult ? geoResult.displayName : wikidataLocation,
-                    location_coord: geoResult ? geoResult.coords : null
-                };
-            } else {
-                // 4e. Try Wikipedia infobox scraping
-                let wikiLocation = null;
-                wikiLocation = await fetchFromWikipedia(artistName + ' musician');
-                if (!wikiLocation) wikiLocation = await fetchFromWikipedia(artistName + ' band');
-                if (!wikiLocation) wikiLocation = await fetchFromWikipedia(artistName);
-
-                if (wikiLocation) {
-                    // 4f. Wikipedia returned something
-                    // 4f-i. Try geocoding it directly first
-                    let geoResult = await geocodeLocation(wikiLocation);
-
-                    // 4f-ii/iii. Check if result is city-level or if we need to snap to capital
-                    if (geoResult && !isCityLevelGeocode(geoResult)) {
-                        // Result is subdivision/region — try capital snap
-                        const locationParts = wikiLocation.split(',').map(p => p.trim());
-                        const subdivisionName = locationParts[0];
-                        const capital = await fetchSubdivisionCapital(subdivisionName);
-                        if (capital) {
-                            const capitalResult = await geocodeLocation(`${capital}, ${wikiLocation}`);
-                            if (capitalResult) geoResult = capitalResult;
-                        }
-                    } else if (!geoResult) {
-                        // 4f-iv. Geocode failed — try capital snap
-                        const locationParts = wikiLocation.split(',').map(p => p.trim());
-                        const subdivisionName = locationParts[0];
-                        const capital = await fetchSubdivisionCapital(subdivisionName);
-                        if (capital) {
-                            geoResult = await geocodeLocation(`${capital}, ${wikiLocation}`);
-                        }
-                    }
+        return buildNamedPlaceResult(geoResult, wikiLocation, 'wikipedia', context);
+    }
+};
 
-                    result = {
-                        location_name: geoResult ? geoResult.displayName : wikiLocation,
-                        location_coord: geoResult ? geoResult.coords : null
-                    };
-                } else if (bestArea) {
-                    // 4g. Fall back to MusicBrainz area (with subdivision capital snap)
-                    const geoResult = await geocodeMusicBrainzResult(bestArea);
-                    result = {
-                        location_name: geoResult ? geoResult.displayName : bestArea.name,
-                        location_coord: geoResult ? geoResult.coords : null
-                    };
-                } else {
-                    // 5. Nothing worked
-                    result = {
-                        location_name: 'Unknown',
-                        location_coord: null
-                    };
-                }
+/**
+ * Place of the artist's article on another language's Wikipedia, via its
+ * Wikidata item
+ */
+async function resolveOtherLanguages(artist, context) {
+    const names = searchNames(artist, context);
+
+    for (const lang of searchLanguages(artist, context)) {
+        for (const name of names) {
+            const entityId = await fetchWikipediaEntityId(name, lang, context.trace);
+            // The artist's own item was already checked by wikidata-entity
+            if (!entityId || entityId === context.wikidataEntityId) continue;
+
+            const place = await fetchWikidataPlace(entityId, context.trace);
+            if (place) {
+                return buildWikidataPlaceResult(place, {
+                    mbid: context.match?.mbid,
+                    matchedName: context.match?.matchedName,
+                    source: 'wikipedia'
+                }, context.trace);
             }
         }
     }
+    return null;
+}
 
-    return result;
+/**
+ * Coarse MusicBrainz area (country/subdivision, with subdivision capital snap)
+ */
+const areaFallbackSource = {
+    name: 'musicbrainz-area',
+
+    async resolve(artist, context) {
+        if (!context.bestArea) return null;
+        return resolveBestArea(context, 'musicbrainz-area');
+    }
+};
+
+/**
+ * Available sources by name. Add a provider here to make it available to
+ * the sources option.
+ */
+export const RESOLVER_SOURCES = {
+    [musicBrainzSource.name]: musicBrainzSource,
+    [relationshipSource.name]: relationshipSource,
+    [wikidataEntitySource.name]: wikidataEntitySource,
+    [wikidataSource.name]: wikidataSource,
+    [wikipediaSource.name]: wikipediaSource,
+    [areaFallbackSource.name]: areaFallbackSource
+};
+
+export const DEFAULT_SOURCE_ORDER = [
+    'musicbrainz',
+    'musicbrainz-relationship',
+    'wikidata-entity',
+    'wikidata',
+    'wikipedia',
+    'musicbrainz-area'
+];
+
+/**
+ * Turn a source list into providers, in order.
+ * Accepts an array of names or a comma-separated string; null/empty means
+ * DEFAULT_SOURCE_ORDER. Unknown names are skipped with a warning, and a
+ * list with no known names falls back to DEFAULT_SOURCE_ORDER too, rather
+ * than resolving (and caching) every artist as Unknown.
+ */
+export function selectSources(sources = null) {
+    const names = typeof sources === 'string'
+        ? sources.split(',').map(name => name.trim()).filter(Boolean)
+        : sources;
+    const known = (names || []).filter(name => {
+        if (RESOLVER_SOURCES[name]) return true;
+        console.warn(`Unknown resolver source "${name}", skipping`);
+        return false;
+    });
+
+    if (known.length === 0) {
+        if (names?.length) {
+            console.warn('No known resolver sources given, using the default order');
+        }
+        return DEFAULT_SOURCE_ORDER.map(name => RESOLVER_SOURCES[name]);
+    }
+    return known.map(name => RESOLVER_SOURCES[name]);
+}
+
+// ---------------------------------------------------------------------------
+// Main orchestrator
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve an artist's location by running each source in turn.
+ * Returns { location_name, location_coord, source, mbid, matched_name,
+ *           area_type, confidence } where location_coord is [lat, lon] or null.
+ *
+ * Options:
+ * - spotifyId: Spotify artist id, used to find the MusicBrainz artist via its
+ *   Spotify URL relationship before falling back to a name search
+ * - genres: Spotify genres, which suggest languages to search Wikipedia and
+ *   Wikidata in (e.g. "k-pop" → Korean)
+ * - sources: source names to run, in order (array or comma-separated
+ *   string). Defaults to DEFAULT_SOURCE_ORDER:
+ *   1. musicbrainz: begin-area/area (if city-level)
+ *   2. musicbrainz-relationship: "is person" relationships
+ *   3. wikidata-entity: P740/P19 and P625 of the linked Wikidata item
+ *   4. wikidata: P19/P740 of an item matched by label
+ *   5. wikipedia: infobox scraping, then other-language articles
+ *   6. musicbrainz-area: area fallback (with subdivision capital snap)
+ * - explain: also return a trace of every step taken: sources run or
+ *   skipped, queries made, MusicBrainz candidates with their scores and why
+ *   each was accepted or rejected, and geocode attempts and fallbacks
+ *
+ * Early exits:
+ * - The first source to return a result wins
+ * - If MusicBrainz rejected every candidate, stop and return Unknown
+ * - If MusicBrainz matched a person exactly but has no location for them,
+ *   skip name-based sources, which might find someone else with that name
+ * - If the artist's Wikidata item was found but has no place, skip the
+ *   Wikidata label search
+ */
+export async function resolveArtistLocation(artistName, options = {}) {
+    const artist = {
+        name: artistName,
+        spotifyId: options.spotifyId || null,
+        genres: options.genres || []
+    };
+    const trace = options.explain ? [] : null;
+    const context = {
+        match: null,
+        country: null,
+        mbResult: null,
+        bestArea: null,
+        rejected: false,
+        relations: null, // Promise of the matched artist's MusicBrainz relations
+        wikidataEntityId: null,
+        trace
+    };
+
+    const result = await runSources(artist, context, selectSources(options.sources));
+    if (!trace) return result;
+
+    traceStep(trace, 'result', {
+        source: result.source,
+        location_name: result.location_name,
+        confidence: result.confidence
+    });
+    return { ...result, trace };
+}
+
+async function runSources(artist, context, sources) {
+    for (const source of sources) {
+        const skipReason = source.searchesByName && context.mbResult?.exactMatch && !context.bestArea
+            ? 'exact MusicBrainz match has no location'
+            : source.skip?.(context) || null;
+        if (skipReason) {
+            console.log(`Skipping ${source.name} for ${artist.name}: ${skipReason}`);
+            traceStep(context.trace, 'source_skipped', { source: source.name, reason: skipReason });
+            continue;
+        }
+
+        traceStep(context.trace, 'source', { source: source.name });
+        const result = await source.resolve(artist, context);
+        if (result) return result;
+
+        if (context.rejected) {
+            console.log(`Rejected all MusicBrainz candidates for ${artist.name}, returning Unknown`);
+            traceStep(context.trace, 'stop', { reason: 'MusicBrainz rejected every candidate' });
+            break;
+        }
+    }
+
+    return buildUnknownResult(context.match?.mbid, context.match?.matchedName);
 }
@@ -0,0 +1,429 @@
+/**
+ * Tests for the browser location cache (docs/js/location-cache.js)
+ *
+ * Node has no IndexedDB, so the cache falls back to its localStorage
+ * backend, which runs here against a stubbed localStorage.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+const PREFIX = 'artist_location:';
+const LEGACY_KEY = 'artist_locations_cache';
+
+const PERTH = { location_name: 'Perth, Australia', location_coord: [-31.95, 115.86], status: 'resolved' };
+const PARTIAL = { location_name: 'Western Australia', location_coord: null, status: 'partial' };
+const UNKNOWN = { location_name: 'Unknown', location_coord: null, status: 'unknown' };
+
+// localStorage stand-in: items are own enumerable properties, as in
+// browsers, so Object.keys(localStorage) lists them. Set failWrites to make
+// the next setItem calls throw a quota error.
+function createLocalStorage() {
+    const storage = {};
+    const hidden = value => ({ value, writable: true });
+    Object.defineProperties(storage, {
+        failWrites: hidden(0),
+        getItem: hidden(key => (Object.hasOwn(storage, key) ? storage[key] : null)),
+        setItem: hidden((key, value) => {
+            if (storage.failWrites > 0) {
+                storage.failWrites--;
+                throw Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' });
+            }
+            storage[key] = String(value);
+        }),
+        removeItem: hidden(key => { delete storage[key]; })
+    });
+    return storage;
+}
+
+// Fresh module per test, since the backend is opened once per module
+async function loadCache() {
+    vi.resetModules();
+    return import('../docs/js/location-cache.js');
+}
+
+// Let fire-and-forget writes (recency updates) finish
+function flushWrites() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function storedRecord(storage, name) {
+    return JSON.parse(storage.getItem(PREFIX + name));
+}
+
+function putRecord(storage, name, fields) {
+    storage.setItem(PREFIX + name, JSON.stringify({
+        name,
+        version: 2,
+        saved_at: START,
+        accessed_at: START,
+        size: 0,
+        ...fields
+    }));
+}
+
+let storage;
+
+beforeEach(() => {
+    storage = createLocalStorage();
+    vi.stubGlobal('localStorage', storage);
+    vi.stubGlobal('navigator', {});
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(START);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+// ---------------------------------------------------------------------------
+// Status Tests
+// ---------------------------------------------------------------------------
+
+describe('resultStatus', () => {
+    it('should classify results by what they have', async () => {
+        const { resultStatus } = await loadCache();
+        expect(resultStatus({ location_name: 'Perth', location_coord: [1, 2] })).toBe('resolved');
+        expect(resultStatus({ location_name: 'Western Australia', location_coord: null })).toBe('partial');
+        expect(resultStatus({ location_name: 'Unknown', location_coord: null })).toBe('unknown');
+        expect(resultStatus({})).toBe('unknown');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Read/Write Tests
+// ---------------------------------------------------------------------------
+
+describe('localStorage backend', () => {
+    it('should be used when IndexedDB is unavailable', async () => {
+        const cache = await loadCache();
+        const stats = await cache.getCacheStats();
+        expect(stats.backend).toBe('localStorage');
+    });
+
+    it('should store one versioned record per artist', async () => {
+        const cache = await loadCache();
+        await cache.saveCachedLocations({ Bugs: PERTH, Nobody: UNKNOWN });
+
+        expect(storedRecord(storage, 'Bugs')).toMatchObject({
+            name: 'Bugs',
+            version: cache.CACHE_SCHEMA_VERSION,
+            data: PERTH,
+            saved_at: START,
+            accessed_at: START
+        });
+        expect(Object.keys(storage).sort()).toEqual([`${PREFIX}Bugs`, `${PREFIX}Nobody`]);
+    });
+
+    it('should read back only the artists asked for', async () => {
+        const cache = await loadCache();
+        await cache.saveCachedLocations({ Bugs: PERTH, Nobody: UNKNOWN });
+
+        expect(await cache.getCachedLocations(['Bugs', 'Missing'])).toEqual({ Bugs: PERTH });
+        expect(await cache.getCachedLocations()).toEqual({ Bugs: PERTH, Nobody: UNKNOWN });
+    });
+
+    it('should skip unreadable records', async () => {
+        const cache = await loadCache();
+        storage.setItem(`${PREFIX}Broken`, '{not json');
+
+        expect(await cache.getCachedLocations(['Broken'])).toEqual({});
+    });
+
+    it('should clear only its own keys', async () => {
+        const cache = await loadCache();
+        storage.setItem('theme', 'dark');
+        await cache.saveCachedLocations({ Bugs: PERTH });
+
+        await cache.clearLocationCache();
+        expect(Object.keys(storage)).toEqual(['theme']);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Expiry Tests
+// ---------------------------------------------------------------------------
+
+describe('Expiry', () => {
+    it('should keep resolved locations for 30 days', async () => {
+        const cache = await loadCache();
+        await cache.saveCachedLocations({ Bugs: PERTH });
+
+        vi.setSystemTime(START + 29 * DAY);
+        expect(await cache.getCachedLocations(['Bugs'])).toEqual({ Bugs: PERTH });
+
+        vi.setSystemTime(START + 31 * DAY);
+        expect(await cache.getCachedLocations(['Bugs'])).toEqual({});
+    });
+
+    it('should keep Unknown and partial results for a day', async () => {
+        const cache = await loadCache();
+        await cache.saveCachedLocations({ Nobody: UNKNOWN, Vague: PARTIAL });
+
+        vi.setSystemTime(START + DAY / 2);
+        expect(Object.keys(await cache.getCachedLocations(['Nobody', 'Vague']))).toEqual(['Nobody', 'Vague']);
+
+        vi.setSystemTime(START + 2 * DAY);
+        expect(await cache.getCachedLocations(['Nobody', 'Vague'])).toEqual({});
+    });
+
+    it('should count negative expiry from when the result was resolved', async () => {
+        const cache = await loadCache();
+        const resolvedAt = new Date(START - 2 * DAY).toISOString();
+        await cache.saveCachedLocations({ Nobody: { ...UNKNOWN, resolved_at: resolvedAt } });
+
+        expect(await cache.getCachedLocations(['Nobody'])).toEqual({});
+    });
+
+    it('should delete expired records', async () => {
+        const cache = await loadCache();
+        await cache.saveCachedLocations({ Nobody: UNKNOWN, Bugs: PERTH });
+
+        vi.setSystemTime(START + 2 * DAY);
+        await cache.getCachedLocations(['Nobody', 'Bugs']);
+        expect(storage.getItem(`${PREFIX}Nobody`)).toBeNull();
+        expect(storage.getItem(`${PREFIX}Bugs`)).not.toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Migration Tests
+// ---------------------------------------------------------------------------
+
+describe('Schema migrations', () => {
+    it('should upgrade version 1 records', async () => {
+        const cache = await loadCache();
+        putRecord(storage, 'Bugs', {
+            version: 1,
+            data: { location_name: 'Perth, Australia', location_coord: [-31.95, 115.86] }
+        });
+
+        const { Bugs } = await cache.getCachedLocations(['Bugs']);
+        expect(Bugs).toEqual({
+            location_name: 'Perth, Australia',
+            location_coord: [-31.95, 115.86],
+            status: 'resolved',
+            resolved_at: null
+        });
+
+        await flushWrites();
+        expect(storedRecord(storage, 'Bugs').version).toBe(cache.CACHE_SCHEMA_VERSION);
+    });
+
+    it('should treat records without a version as version 1', async () => {
+        const cache = await loadCache();
+        putRecord(storage, 'Vague', { version: undefined, data: { location_name: 'Western Australia' } });
+
+        const { Vague } = await cache.getCachedLocations(['Vague']);
+        expect(Vague.status).toBe('partial');
+    });
+
+    it('should drop version 1 Unknown records so they are looked up again', async () => {
+        const cache = await loadCache();
+        putRecord(storage, 'Nobody', { version: 1, data: { location_name: 'Unknown', location_coord: null } });
+
+        expect(await cache.getCachedLocations(['Nobody'])).toEqual({});
+        expect(storage.getItem(`${PREFIX}Nobody`)).toBeNull();
+    });
+
+    it('should drop records from a newer version', async () => {
+        const cache = await loadCache();
+        putRecord(storage, 'Bugs', { version: 99, data: PERTH });
+
+        expect(await cache.getCachedLocations(['Bugs'])).toEqual({});
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Legacy Import Tests
+// ---------------------------------------------------------------------------
+
+describe('Legacy cache import', () => {
+    it('should import the old single-blob cache once, keeping its timestamp', async () => {
+        storage.setItem(LEGACY_KEY, JSON.stringify({
+            timestamp: START - 2 * DAY,
+            locations: {
+                Bugs: { location_name: 'Perth, Australia', location_coord: [-31.95, 115.86] },
+                Vague: { location_name: 'Western Australia', location_coord: null }
+            }
+        }));
+        const cache = await loadCache();
+
+        const locations = await cache.getCachedLocations(['Bugs', 'Vague']);
+        expect(locations.Bugs.status).toBe('resolved');
+        // A two-day-old partial result has already expired
+        expect(locations.Vague).toBeUndefined();
+        expect(storedRecord(storage, 'Bugs').saved_at).toBe(START - 2 * DAY);
+        expect(storage.getItem(LEGACY_KEY)).toBeNull();
+    });
+
+    it('should skip Unknown and expired entries', async () => {
+        storage.setItem(LEGACY_KEY, JSON.stringify({
+            timestamp: START - 40 * DAY,
+            locations: { Old: { location_name: 'Perth, Australia', location_coord: [-31.95, 115.86] } }
+        }));
+        let cache = await loadCache();
+        expect(await cache.getCachedLocations()).toEqual({});
+
+        storage.setItem(LEGACY_KEY, JSON.stringify({
+            timestamp: START,
+            locations: { Nobody: { location_name: 'Unknown', location_coord: null } }
+        }));
+        cache = await loadCache();
+        expect(await cache.getCachedLocations()).toEqual({});
+    });
+
+    it('should discard a blob it cannot read', async () => {
+        storage.setItem(LEGACY_KEY, '{not json');
+        const cache = await loadCache();
+
+        expect(await cache.getCachedLocations()).toEqual({});
+        expect(storage.getItem(LEGACY_KEY)).toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Eviction Tests
+// ---------------------------------------------------------------------------
+
+describe('Eviction', () => {
+    it('should evict the least recently used entries over the entry limit', async () => {
+        const cache = await loadCache();
+        const locations = {};
+        for (let i = 0; i < 2000; i++) locations[`Artist ${i}`] = PERTH;
+        await cache.saveCachedLocations(locations);
+
+        // Looking an artist up makes it recently used
+        vi.setSystemTime(START + 1000);
+        await cache.getCachedLocations(['Artist 0']);
+        await flushWrites();
+
+        vi.setSystemTime(START + 2000);
+        await cache.saveCachedLocations({ Newcomer: PERTH });
+
+        expect(Object.keys(storage)).toHaveLength(2000);
+        expect(storage.getItem(`${PREFIX}Newcomer`)).not.toBeNull();
+        expect(storage.getItem(`${PREFIX}Artist 0`)).not.toBeNull();
+        expect(storage.getItem(`${PREFIX}Artist 1`)).toBeNull();
+    });
+
+    it('should not count listing every entry as use', async () => {
+        const cache = await loadCache();
+        await cache.saveCachedLocations({ Bugs: PERTH });
+
+        vi.setSystemTime(START + 1000);
+        await cache.getCachedLocations();
+        await flushWrites();
+        expect(storedRecord(storage, 'Bugs').accessed_at).toBe(START);
+    });
+
+    it('should free a quarter of the cache and retry once when out of quota', async () => {
+        const cache = await loadCache();
+        for (let i = 0; i < 8; i++) {
+            putRecord(storage, `Artist ${i}`, { data: PERTH, accessed_at: START + i });
+        }
+
+        storage.failWrites = 1;
+        await cache.saveCachedLocations({ Newcomer: PERTH });
+
+        const names = Object.keys(storage).map(key => key.slice(PREFIX.length));
+        expect(names).toContain('Newcomer');
+        expect(names).not.toContain('Artist 0');
+        expect(names).not.toContain('Artist 1');
+        expect(names).toContain('Artist 2');
+        expect(names).toHaveLength(7);
+    });
+
+    it('should give up quietly when still out of quota', async () => {
+        const cache = await loadCache();
+        putRecord(storage, 'Bugs', { data: PERTH });
+
+        storage.failWrites = 2;
+        await expect(cache.saveCachedLocations({ Newcomer: PERTH })).resolves.toBeUndefined();
+        expect(storage.getItem(`${PREFIX}Newcomer`)).toBeNull();
+        expect(console.warn).toHaveBeenCalledWith('Failed to save to cache:', expect.any(Error));
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Stats Tests
+// ---------------------------------------------------------------------------
+
+describe('getCacheStats', () => {
+    it('should count entries by status, most recently used first', async () => {
+        const cache = await loadCache();
+        await cache.saveCachedLocations({ Bugs: PERTH });
+        vi.setSystemTime(START + 1000);
+        await cache.saveCachedLocations({ Vague: PARTIAL, Nobody: UNKNOWN });
+
+        const stats = await cache.getCacheStats();
+        expect(stats.count).toBe(3);
+        expect(stats.byStatus).toEqual({ resolved: 1, partial: 1, unknown: 1 });
+        expect(stats.oldest).toBe(START);
+        expect(stats.newest).toBe(START + 1000);
+        expect(stats.entries[stats.entries.length - 1].name).toBe('Bugs');
+        expect(stats.bytes).toBeGreaterThan(0);
+        expect(stats.quota).toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Lookup Storage Tests
+// ---------------------------------------------------------------------------
+
+describe('lookupStorage', () => {
+    const LOOKUP_PREFIX = 'location_lookup:';
+
+    it('should store each lookup under its own key', async () => {
+        const { lookupStorage } = await loadCache();
+        await lookupStorage.set('geocode:perth', [-31.95, 115.86], 60);
+
+        expect(await lookupStorage.get('geocode:perth')).toEqual([-31.95, 115.86]);
+        expect(await lookupStorage.get('geocode:nowhere')).toBeNull();
+        expect(Object.keys(storage)).toEqual([`${LOOKUP_PREFIX}geocode:perth`]);
+    });
+
+    it('should expire lookups after their TTL', async () => {
+        const { lookupStorage } = await loadCache();
+        await lookupStorage.set('area:abc', { name: 'Perth' }, 60);
+
+        vi.setSystemTime(START + 61 * 1000);
+        expect(await lookupStorage.get('area:abc')).toBeNull();
+        expect(Object.keys(storage)).toEqual([]);
+    });
+
+    it('should drop the old single-blob lookup cache', async () => {
+        storage.setItem('location_lookup_cache', JSON.stringify({ 'area:abc': { value: 'x', expires: START + DAY } }));
+        const { lookupStorage } = await loadCache();
+
+        expect(await lookupStorage.get('area:abc')).toBeNull();
+        expect(storage.getItem('location_lookup_cache')).toBeNull();
+    });
+
+    it('should evict the least recently used lookups when out of quota', async () => {
+        const { lookupStorage } = await loadCache();
+        await lookupStorage.set('area:old', 'Old', 60);
+        vi.setSystemTime(START + 1000);
+        await lookupStorage.set('area:new', 'New', 60);
+
+        storage.failWrites = 1;
+        await lookupStorage.set('area:newest', 'Newest', 60);
+
+        expect(await lookupStorage.get('area:old')).toBeNull();
+        expect(await lookupStorage.get('area:new')).toBe('New');
+        expect(await lookupStorage.get('area:newest')).toBe('Newest');
+    });
+
+    it('should be cleared separately from artist locations', async () => {
+        const cache = await loadCache();
+        await cache.saveCachedLocations({ Bugs: PERTH });
+        await cache.lookupStorage.set('area:abc', 'Perth', 60);
+
+        await cache.clearLookupCache();
+        expect(Object.keys(storage)).toEqual([`${PREFIX}Bugs`]);
+    });
+});
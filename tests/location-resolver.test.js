@@ -17,13 +17,24 @@ import {
     isCityLevelGeocode,
 
     // Name matching helpers
+    normalizeName,
+    transliterate,
+    hasNonLatinLetters,
     isExactMatch,
+    NAME_MATCH_THRESHOLD,
+    jaroWinkler,
+    scoreNameMatch,
     verifyArtistMatch,
+    bestNameMatch,
+    artistNameVariants,
 
     // Country code helpers
     extractCountryCode,
     countryCodeToName,
 
+    // Language helpers
+    artistLanguages,
+
     // Display name helpers
     normalizeDisplayName,
     cleanWikipediaLocation,
@@ -31,10 +42,14 @@ import {
     // Fetch functions
     fetchWithRetry,
     fetchFromMusicBrainz,
+    fetchMusicBrainzBySpotifyId,
     resolveAreaCountry,
     fetchLocationViaRelationships,
     fetchFromWikipedia,
     fetchFromWikidata,
+    fetchWikipediaEntityId,
+    fetchWikidataEntityId,
+    fetchWikidataPlace,
     fetchSubdivisionCapital,
 
     // Geocoding
@@ -43,10 +58,29 @@ import {
     geocodeWithPhoton,
     geocodeMusicBrainzResult,
 
+    // Provenance
+    SOURCE_CONFIDENCE,
+    scoreConfidence,
+
+    // Lookup cache
+    setLookupStorage,
+    clearLookupCache,
+    resolveAreaContext,
+
+    // Source providers
+    RESOLVER_SOURCES,
+    DEFAULT_SOURCE_ORDER,
+    selectSources,
+
     // Main orchestrator
     resolveArtistLocation
 } from '../shared/location-resolver.js';
 
+// Intermediate lookups are cached in memory; start every test cold
+beforeEach(() => {
+    clearLookupCache();
+});
+
 // ---------------------------------------------------------------------------
 // Constants Tests
 // ---------------------------------------------------------------------------
@@ -252,6 +286,196 @@ describe('verifyArtistMatch', () => {
     it('should handle slight variations', () => {
         expect(verifyArtistMatch('The Beatles', 'Beatles, The')).toBe(true);
     });
+
+    it('should ignore diacritics and compatibility forms', () => {
+        expect(verifyArtistMatch('Bjork', 'Björk')).toBe(true);
+        expect(verifyArtistMatch('Sigur Ros', 'Sigur Rós')).toBe(true);
+        expect(verifyArtistMatch('ＹＯＡＳＯＢＩ', 'YOASOBI')).toBe(true);
+    });
+
+    it('should compare names across scripts', () => {
+        expect(verifyArtistMatch('Kino', 'Кино')).toBe(true);
+        expect(verifyArtistMatch('Zemfira', 'Земфира')).toBe(true);
+        expect(verifyArtistMatch('Mumiy Troll', 'Мумий Тролль')).toBe(true);
+        expect(verifyArtistMatch('Yorushika', 'ヨルシカ')).toBe(true);
+        expect(verifyArtistMatch('Kino', 'Земфира')).toBe(false);
+    });
+});
+
+describe('jaroWinkler', () => {
+    it.each([
+        ['martha', 'marhta', 0.961],
+        ['dwayne', 'duane', 0.84],
+        ['dixon', 'dicksonx', 0.813],
+        ['beyonce', 'beyonse', 0.943],
+        ['abc', 'abc', 1],
+        ['abc', 'xyz', 0],
+        ['', 'abc', 0]
+    ])('should score %s / %s as %s', (a, b, expected) => {
+        expect(jaroWinkler(a, b)).toBeCloseTo(expected, 2);
+    });
+
+    it('should be symmetric', () => {
+        expect(jaroWinkler('holiday', 'holliday')).toBeCloseTo(jaroWinkler('holliday', 'holiday'), 10);
+    });
+});
+
+describe('scoreNameMatch', () => {
+    // [searched for, MusicBrainz name, same artist?]
+    it.each([
+        // Identical apart from case, accents, width and whitespace
+        ['Taylor Swift', 'Taylor Swift', true],
+        ['taylor swift', 'TAYLOR SWIFT', true],
+        ['Bjork', 'Björk', true],
+        ['Sigur Ros', 'Sigur Rós', true],
+        ['ＹＯＡＳＯＢＩ', 'YOASOBI', true],
+        ['  Bon  Iver ', 'Bon Iver', true],
+
+        // Articles, "&"/"and" and punctuation
+        ['The Beatles', 'Beatles', true],
+        ['Beatles', 'The Beatles', true],
+        ['The Beatles', 'Beatles, The', true],
+        ['The The', 'The The', true],
+        ['Simon & Garfunkel', 'Simon and Garfunkel', true],
+        ['Florence and the Machine', 'Florence + the Machine', true],
+        ['Earth Wind and Fire', 'Earth, Wind & Fire', true],
+        ['Guns N Roses', "Guns N' Roses", true],
+        ['REM', 'R.E.M.', true],
+        ['AC/DC', 'ACDC', true],
+        ['Coldplay', 'Cold Play', true],
+        ['Jay-Z', 'Jay Z', true],
+        ["Sinead O'Connor", 'Sinéad O’Connor', true],
+
+        // Sort names put the surname first
+        ['Billie Holiday', 'Holiday, Billie', true],
+        ['Taylor Swift', 'Swift, Taylor', true],
+
+        // Word order
+        ['Swift Taylor', 'Taylor Swift', true],
+
+        // Typos and small spelling differences
+        ['Beyonse', 'Beyoncé', true],
+        ['Arctic Monkey', 'Arctic Monkeys', true],
+        ['Fleetwood Mac', 'Fleetwod Mac', true],
+
+        // Extra words in the result
+        ['Taylor Swift', 'Taylor Alison Swift', true],
+
+        // Other scripts
+        ['Kino', 'Кино', true],
+        ['Zemfira', 'Земфира', true],
+        ['Mumiy Troll', 'Мумий Тролль', true],
+        ['Yorushika', 'ヨルシカ', true],
+        ['Kyary Pamyu Pamyu', 'きゃりーぱみゅぱみゅ', true],
+
+        // Different artists
+        ['Keli Holiday', 'Billie Holiday', false],
+        ['Keli Holiday', 'Holiday, Billie', false],
+        ['Greg', 'Greg Brown', false],
+        ['Taylor', 'Taylor Swift', false],
+        ['Taylor Swift', 'Taylor', false],
+        ['Radiohead', 'Radiohead Tribute', false],
+        ['Daft Punk', 'Daft Punk Tribute Band', false],
+        ['Taylor Swift', 'Taylor Swift & The Swifties Tribute Band', false],
+        ['Bon Iver', 'Bon Iver Tribute', false],
+        ['Pink Floyd', 'Australian Pink Floyd Show', false],
+        // The band is its own MusicBrainz artist, separate from the singer
+        ['Nick Cave', 'Nick Cave & The Bad Seeds', false],
+        ['Daft Punk', 'Daft Pink', false],
+        ['Kino', 'Kina', false],
+        ['Kino', 'Земфира', false],
+        ['Prince', 'Princess', false],
+        ['The National', 'National Parks', false],
+        ['Beach House', 'Beach Boys', false]
+    ])('%s / %s → %s', (searchName, resultName, same) => {
+        const score = scoreNameMatch(searchName, resultName);
+        expect(score >= NAME_MATCH_THRESHOLD).toBe(same);
+        expect(verifyArtistMatch(searchName, resultName)).toBe(same);
+    });
+
+    it('should score between 0 and 1', () => {
+        expect(scoreNameMatch('Taylor Swift', 'Taylor Swift')).toBe(1);
+        expect(scoreNameMatch('Taylor Swift', 'Metallica')).toBe(0);
+        expect(scoreNameMatch('', 'Metallica')).toBe(0);
+    });
+
+    it('should rank closer names higher', () => {
+        const exact = scoreNameMatch('Taylor Swift', 'Taylor Swift');
+        const middleName = scoreNameMatch('Taylor Swift', 'Taylor Alison Swift');
+        const band = scoreNameMatch('Taylor Swift', 'Taylor Swift & The Swifties Tribute Band');
+        expect(exact).toBeGreaterThan(middleName);
+        expect(middleName).toBeGreaterThan(band);
+    });
+});
+
+describe('bestNameMatch', () => {
+    it('should return the best scoring name', () => {
+        expect(bestNameMatch('BTS', ['방탄소년단', 'Bangtan Sonyeondan', 'BTS'])).toEqual({ name: 'BTS', score: 1 });
+    });
+
+    it('should return a zero score when nothing is similar', () => {
+        expect(bestNameMatch('Metallica', ['Megadeth'])).toEqual({ name: null, score: 0 });
+        expect(bestNameMatch('Metallica', [])).toEqual({ name: null, score: 0 });
+    });
+});
+
+describe('normalizeName', () => {
+    it('should lowercase, fold diacritics and collapse whitespace', () => {
+        expect(normalizeName('  Björk  Guðmundsdóttir ')).toBe('bjork gudmundsdottir');
+        expect(normalizeName('Motörhead')).toBe('motorhead');
+        expect(normalizeName('Ｍｏｎｏ')).toBe('mono');
+    });
+
+    it('should fold letters without a decomposition', () => {
+        expect(normalizeName('Mø')).toBe('mo');
+        expect(normalizeName('Łona')).toBe('lona');
+    });
+
+    it('should leave other scripts alone', () => {
+        expect(normalizeName('Кино')).toBe('кино');
+        expect(normalizeName('ヨルシカ')).toBe('ヨルシカ');
+    });
+});
+
+describe('transliterate', () => {
+    it('should romanize Cyrillic and Greek', () => {
+        expect(transliterate('Кино')).toBe('kino');
+        expect(transliterate('Земфира')).toBe('zemfira');
+    });
+
+    it('should romanize kana, including long vowels and doubled consonants', () => {
+        expect(transliterate('ヨルシカ')).toBe('yorushika');
+        expect(transliterate('きゃりーぱみゅぱみゅ')).toBe('kyaripamyupamyu');
+        expect(transliterate('がっこう')).toBe('gakkou');
+    });
+
+    it('should romanize Hangul syllables', () => {
+        expect(transliterate('아이유')).toBe('aiyu');
+    });
+
+    it('should leave Latin names as they are', () => {
+        expect(transliterate('Taylor Swift')).toBe('taylor swift');
+    });
+});
+
+describe('hasNonLatinLetters', () => {
+    it('should detect letters outside the Latin script', () => {
+        expect(hasNonLatinLetters('Кино')).toBe(true);
+        expect(hasNonLatinLetters('방탄소년단')).toBe(true);
+        expect(hasNonLatinLetters('Björk')).toBe(false);
+        expect(hasNonLatinLetters('AC/DC')).toBe(false);
+    });
+});
+
+describe('artistNameVariants', () => {
+    it('should list the name, sort name and aliases once each', () => {
+        const variants = artistNameVariants({
+            name: '방탄소년단',
+            'sort-name': 'Bangtan Sonyeondan',
+            aliases: [{ name: 'BTS', 'sort-name': 'BTS' }, { name: 'Bangtan Boys' }]
+        });
+        expect(variants).toEqual(['방탄소년단', 'Bangtan Sonyeondan', 'BTS', 'Bangtan Boys']);
+    });
 });
 
 // ---------------------------------------------------------------------------
@@ -299,6 +523,34 @@ describe('countryCodeToName', () => {
     });
 });
 
+// ---------------------------------------------------------------------------
+// Language Helper Tests
+// ---------------------------------------------------------------------------
+
+describe('artistLanguages', () => {
+    it('should guess languages from the script of the name', () => {
+        expect(artistLanguages({ name: 'Кино' })).toEqual(['ru']);
+        expect(artistLanguages({ name: '아이유' })).toEqual(['ko']);
+        expect(artistLanguages({ name: 'ヨルシカ' })).toEqual(['ja']);
+    });
+
+    it('should add the language of the MusicBrainz country', () => {
+        expect(artistLanguages({ name: 'Stromae', country: 'BE' })).toEqual(['fr']);
+        expect(artistLanguages({ name: 'Taylor Swift', country: 'US' })).toEqual([]);
+    });
+
+    it('should add languages from Spotify genres', () => {
+        expect(artistLanguages({ name: 'Yorushika', genres: ['j-pop', 'japanese teen pop'] })).toEqual(['ja']);
+        expect(artistLanguages({ name: 'Anitta', genres: ['funk carioca', 'pop'] })).toEqual(['pt']);
+        expect(artistLanguages({ name: 'Bad Bunny', country: 'PR', genres: ['reggaeton', 'trap latino'] })).toEqual(['es']);
+    });
+
+    it('should try Japanese before Chinese for Han names from a Japanese scene', () => {
+        expect(artistLanguages({ name: '椎名林檎' })).toEqual(['zh']);
+        expect(artistLanguages({ name: '椎名林檎', country: 'JP' })).toEqual(['ja', 'zh']);
+    });
+});
+
 // ---------------------------------------------------------------------------
 // Display Name Helper Tests
 // ---------------------------------------------------------------------------
@@ -426,6 +678,7 @@ describe('fetchFromMusicBrainz', () => {
                 type: 'Person',
                 score: 100,
                 id: 'abc123',
+                country: 'US',
                 'begin-area': { name: 'West Reading', id: 'area1', type: 'City' },
                 area: { name: 'United States', id: 'area2', type: 'Country' }
             }]
@@ -446,7 +699,10 @@ describe('fetchFromMusicBrainz', () => {
             areaType: 'Country',
             mbid: 'abc123',
             artistName: 'Taylor Swift',
-            artistType: 'Person'
+            artistType: 'Person',
+            country: 'US',
+            aliases: [],
+            nameScore: 1
         });
     });
 
@@ -491,6 +747,94 @@ describe('fetchFromMusicBrainz', () => {
         expect(result).toEqual({ noMatch: true });
     });
 
+    it('should match an artist by alias', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({
+                artists: [{
+                    name: '방탄소년단',
+                    'sort-name': 'Bangtan Sonyeondan',
+                    type: 'Group',
+                    score: 100,
+                    id: 'bts',
+                    country: 'KR',
+                    aliases: [{ name: 'BTS', 'sort-name': 'BTS' }],
+                    area: { name: 'Seoul', id: 'area1', type: 'City' }
+                }]
+            })
+        });
+
+        const result = await fetchFromMusicBrainz('BTS');
+        expect(decodeURIComponent(global.fetch.mock.calls[0][0])).toContain('alias:"BTS"');
+        expect(result.mbid).toBe('bts');
+        expect(result.artistName).toBe('방탄소년단');
+        expect(result.country).toBe('KR');
+        expect(result.aliases).toEqual(['BTS']);
+    });
+
+    it('should match a name written in another script', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({
+                artists: [{
+                    name: 'Кино',
+                    'sort-name': 'Kino',
+                    type: 'Group',
+                    score: 100,
+                    id: 'kino',
+                    'begin-area': { name: 'Saint Petersburg', id: 'area1', type: 'City' }
+                }]
+            })
+        });
+
+        const result = await fetchFromMusicBrainz('Кино');
+        expect(result.mbid).toBe('kino');
+        expect(result.beginArea).toBe('Saint Petersburg');
+    });
+
+    it('should try the best name match first, whatever its MusicBrainz score', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({
+                artists: [
+                    {
+                        name: 'Taylor Alison Swift', 'sort-name': 'Swift, Taylor Alison', score: 100, id: 'tas',
+                        area: { name: 'Nashville', id: 'area1', type: 'City' }
+                    },
+                    {
+                        name: 'Taylor Swift', 'sort-name': 'Swift, Taylor', score: 95, id: 'ts',
+                        area: { name: 'West Reading', id: 'area2', type: 'City' }
+                    }
+                ]
+            })
+        });
+
+        const trace = [];
+        const result = await fetchFromMusicBrainz('Taylor Swift', trace);
+        expect(result.mbid).toBe('ts');
+        expect(result.nameScore).toBe(1);
+        expect(trace).toContainEqual(expect.objectContaining({
+            step: 'candidate', mbid: 'ts', name_score: 1, accepted: true
+        }));
+        // Still a match, just a weaker one
+        expect(trace.some(step => step.mbid === 'tas')).toBe(false);
+    });
+
+    it('should break name score ties with the MusicBrainz score', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({
+                artists: [
+                    { name: 'Bugs', score: 80, id: 'low', area: { name: 'Perth', id: 'a1', type: 'City' } },
+                    { name: 'Bugs', score: 99, id: 'high', area: { name: 'Brisbane', id: 'a2', type: 'City' } }
+                ]
+            })
+        });
+
+        const result = await fetchFromMusicBrainz('Bugs');
+        expect(result.mbid).toBe('high');
+    });
+
     it('should return null on API error', async () => {
         global.fetch = vi.fn().mockResolvedValue({
             ok: false,
@@ -502,6 +846,96 @@ describe('fetchFromMusicBrainz', () => {
     });
 });
 
+describe('fetchMusicBrainzBySpotifyId', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    it('should follow the Spotify URL relationship to the artist', async () => {
+        global.fetch = vi.fn().mockImplementation((url) => {
+            if (url.includes('/ws/2/url?resource=')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        resource: 'https://open.spotify.com/artist/sp123',
+                        relations: [{ type: 'free streaming', artist: { id: 'mb123', name: 'Bugs' } }]
+                    })
+                });
+            }
+            return Promise.resolve({
+                ok: true,
+                json: () => Promise.resolve({
+                    id: 'mb123',
+                    name: 'Bugs',
+                    type: 'Group',
+                    country: 'AU',
+                    'begin-area': { name: 'Brisbane', id: 'area1', type: 'City' },
+                    area: { name: 'Australia', id: 'area2', type: 'Country' },
+                    relations: [{ type: 'wikidata', url: { resource: 'https://www.wikidata.org/wiki/Q5' } }]
+                })
+            });
+        });
+
+        const result = await fetchMusicBrainzBySpotifyId('sp123');
+        expect(global.fetch.mock.calls[0][0]).toContain(
+            encodeURIComponent('https://open.spotify.com/artist/sp123')
+        );
+        expect(global.fetch.mock.calls[1][0]).toContain('/ws/2/artist/mb123?inc=artist-rels+url-rels');
+        expect(result).toEqual({
+            beginArea: 'Brisbane',
+            beginAreaId: 'area1',
+            beginAreaType: 'City',
+            area: 'Australia',
+            areaId: 'area2',
+            areaType: 'Country',
+            mbid: 'mb123',
+            artistName: 'Bugs',
+            artistType: 'Group',
+            country: 'AU',
+            relations: [{ type: 'wikidata', url: { resource: 'https://www.wikidata.org/wiki/Q5' } }]
+        });
+    });
+
+    it('should return null when no artist links to the URL', async () => {
+        global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 404 });
+
+        const result = await fetchMusicBrainzBySpotifyId('missing');
+        expect(result).toBeNull();
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return null when the URL links to several artists', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({
+                relations: [
+                    { artist: { id: 'mb1', name: 'A' } },
+                    { artist: { id: 'mb2', name: 'B' } }
+                ]
+            })
+        });
+
+        const result = await fetchMusicBrainzBySpotifyId('shared');
+        expect(result).toBeNull();
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should block fallbacks for a person without location', async () => {
+        global.fetch = vi.fn().mockImplementation((url) => Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve(url.includes('/ws/2/url')
+                ? { relations: [{ artist: { id: 'mb123', name: 'Greg' } }] }
+                : { id: 'mb123', name: 'Greg', type: 'Person' })
+        }));
+
+        const result = await fetchMusicBrainzBySpotifyId('sp123');
+        expect(result.mbid).toBe('mb123');
+        expect(result.exactMatch).toBe(true);
+    });
+});
+
 // ---------------------------------------------------------------------------
 // Geocoding Tests
 // ---------------------------------------------------------------------------
@@ -771,6 +1205,207 @@ describe('fetchFromWikidata', () => {
         const result = await fetchFromWikidata('Unknown Artist');
         expect(result).toBeNull();
     });
+
+    it('should match labels in each name and language', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({ results: { bindings: [{ placeLabel: { value: 'Saint Petersburg' } }] } })
+        });
+
+        const result = await fetchFromWikidata(['Kino', 'Кино'], null, ['ru']);
+        expect(result).toBe('Saint Petersburg');
+        const query = decodeURIComponent(global.fetch.mock.calls[0][0]);
+        expect(query).toContain('"Kino"@en');
+        expect(query).toContain('"Кино"@ru');
+        expect(query).toContain('wikibase:language "en,ru"');
+    });
+});
+
+describe('fetchWikipediaEntityId', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    function mockWikipedia(title, entity) {
+        global.fetch = vi.fn().mockImplementation((url) => {
+            if (url.includes('list=search')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({ query: { search: title ? [{ title }] : [] } })
+                });
+            }
+            return Promise.resolve({
+                ok: true,
+                json: () => Promise.resolve({
+                    query: { pages: { 1: { title, pageprops: { wikibase_item: entity } } } }
+                })
+            });
+        });
+    }
+
+    it('should return the Wikidata item of the matching article', async () => {
+        mockWikipedia('ヨルシカ', 'Q55603367');
+
+        const result = await fetchWikipediaEntityId('ヨルシカ', 'ja');
+        expect(result).toBe('Q55603367');
+        expect(global.fetch.mock.calls[0][0]).toContain('https://ja.wikipedia.org/');
+    });
+
+    it('should ignore a disambiguating qualifier in the title', async () => {
+        mockWikipedia('Кино (группа)', 'Q1054366');
+
+        const result = await fetchWikipediaEntityId('Кино', 'ru');
+        expect(result).toBe('Q1054366');
+    });
+
+    it('should reject an article about someone else', async () => {
+        mockWikipedia('Земфира', 'Q233925');
+
+        const result = await fetchWikipediaEntityId('Кино', 'ru');
+        expect(result).toBeNull();
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not query an invalid language code', async () => {
+        global.fetch = vi.fn();
+
+        const result = await fetchWikipediaEntityId('Кино', 'evil.example.com/');
+        expect(result).toBeNull();
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+});
+
+describe('fetchWikidataEntityId', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    function wikidataLink(id) {
+        return { type: 'wikidata', url: { resource: `https://www.wikidata.org/wiki/${id}` } };
+    }
+
+    it('should use the Wikidata link on the MusicBrainz artist', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({
+                relations: [{ type: 'official homepage', url: { resource: 'https://example.com' } }, wikidataLink('Q1299')]
+            })
+        });
+
+        const result = await fetchWikidataEntityId({ mbid: 'b10bbbfc', spotifyId: 'sp1' });
+        expect(result).toEqual({ id: 'Q1299', via: 'musicbrainz' });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(global.fetch.mock.calls[0][0]).toContain('/ws/2/artist/b10bbbfc?inc=artist-rels+url-rels');
+    });
+
+    it('should read the link from relations already fetched', async () => {
+        global.fetch = vi.fn();
+
+        const result = await fetchWikidataEntityId({ mbid: 'b10bbbfc', relations: [wikidataLink('Q1299')] });
+        expect(result).toEqual({ id: 'Q1299', via: 'musicbrainz' });
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the Spotify artist ID property', async () => {
+        global.fetch = vi.fn().mockImplementation((url) => {
+            if (url.includes('musicbrainz.org')) {
+                return Promise.resolve({ ok: true, json: () => Promise.resolve({ relations: [] }) });
+            }
+            return Promise.resolve({
+                ok: true,
+                json: () => Promise.resolve({
+                    results: { bindings: [{ item: { value: 'http://www.wikidata.org/entity/Q42' } }] }
+                })
+            });
+        });
+
+        const result = await fetchWikidataEntityId({ mbid: 'abc', spotifyId: '4Z8W4fKeB5YxbusRsdQVPb' });
+        expect(result).toEqual({ id: 'Q42', via: 'spotify' });
+        const sparql = decodeURIComponent(global.fetch.mock.calls[1][0]);
+        expect(sparql).toContain('wdt:P1902 "4Z8W4fKeB5YxbusRsdQVPb"');
+    });
+
+    it('should treat several linked items as ambiguous', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({ relations: [wikidataLink('Q1'), wikidataLink('Q2')] })
+        });
+
+        expect(await fetchWikidataEntityId({ mbid: 'duo' })).toBeNull();
+    });
+
+    it('should not query Wikidata with a malformed Spotify id', async () => {
+        global.fetch = vi.fn();
+
+        expect(await fetchWikidataEntityId({ spotifyId: '" } DROP' })).toBeNull();
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+});
+
+describe('fetchWikidataPlace', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    function mockBindings(bindings) {
+        global.fetch = vi.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({ results: { bindings } })
+        });
+    }
+
+    it('should read the place and its coordinates', async () => {
+        mockBindings([{
+            property: { value: 'P740' },
+            placeLabel: { value: 'Liverpool' },
+            countryLabel: { value: 'United Kingdom' },
+            coord: { value: 'Point(-2.983333 53.4)' }
+        }]);
+
+        const place = await fetchWikidataPlace('Q1299');
+        expect(place).toEqual({
+            property: 'P740',
+            name: 'Liverpool',
+            displayName: 'Liverpool, United Kingdom',
+            coords: [53.4, -2.983333]
+        });
+        expect(decodeURIComponent(global.fetch.mock.calls[0][0])).toContain('wd:Q1299 wdt:P740');
+    });
+
+    it('should prefer location of formation over place of birth', async () => {
+        mockBindings([
+            { property: { value: 'P19' }, placeLabel: { value: 'Leeds' }, coord: { value: 'Point(-1.55 53.8)' } },
+            { property: { value: 'P740' }, placeLabel: { value: 'Manchester' }, coord: { value: 'Point(-2.24 53.48)' } }
+        ]);
+
+        const place = await fetchWikidataPlace('Q5');
+        expect(place.name).toBe('Manchester');
+    });
+
+    it('should keep places without coordinates', async () => {
+        mockBindings([{ property: { value: 'P19' }, placeLabel: { value: 'Atlantis' } }]);
+
+        const place = await fetchWikidataPlace('Q5');
+        expect(place.displayName).toBe('Atlantis');
+        expect(place.coords).toBeNull();
+    });
+
+    it('should return null when the entity has no place', async () => {
+        mockBindings([]);
+        expect(await fetchWikidataPlace('Q5')).toBeNull();
+    });
+
+    it('should reject malformed entity ids', async () => {
+        global.fetch = vi.fn();
+        expect(await fetchWikidataPlace('Q5 } UNION {')).toBeNull();
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
 });
 
 describe('fetchSubdivisionCapital', () => {
@@ -807,6 +1442,202 @@ describe('fetchSubdivisionCapital', () => {
     });
 });
 
+// ---------------------------------------------------------------------------
+// Lookup Cache Tests
+// ---------------------------------------------------------------------------
+
+describe('Lookup cache', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        setLookupStorage(null);
+    });
+
+    function nominatimResponse(name) {
+        return {
+            ok: true,
+            json: () => Promise.resolve([{ lat: '51.5', lon: '-0.12', display_name: name, addresstype: 'city' }])
+        };
+    }
+
+    function createStorage(entries = {}) {
+        const store = new Map(Object.entries(entries));
+        return {
+            get: vi.fn(async key => store.get(key) ?? null),
+            set: vi.fn(async (key, value) => { store.set(key, value); }),
+            store
+        };
+    }
+
+    it('should geocode a repeated query only once', async () => {
+        global.fetch = vi.fn().mockResolvedValue(nominatimResponse('London, United Kingdom'));
+
+        const first = await geocodeLocation('London, United Kingdom');
+        const second = await geocodeLocation('london, united kingdom ');
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(second).toEqual(first);
+    });
+
+    it('should share a lookup between concurrent callers', async () => {
+        global.fetch = vi.fn().mockResolvedValue(nominatimResponse('Leeds, United Kingdom'));
+
+        const results = await Promise.all([
+            geocodeLocation('Leeds'),
+            geocodeLocation('Leeds')
+        ]);
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(results[0]).toEqual(results[1]);
+    });
+
+    it('should not cache failed lookups', async () => {
+        global.fetch = vi.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({ results: { bindings: [] } })
+        });
+        expect(await fetchSubdivisionCapital('Tasmania')).toBeNull();
+
+        global.fetch = vi.fn().mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({ results: { bindings: [{ capitalLabel: { value: 'Hobart' } }] } })
+        });
+        expect(await fetchSubdivisionCapital('Tasmania')).toBe('Hobart');
+    });
+
+    it('should read from persistent storage before the network', async () => {
+        const storage = createStorage({
+            'capital:western australia': 'Perth'
+        });
+        setLookupStorage(storage);
+        global.fetch = vi.fn();
+
+        expect(await fetchSubdivisionCapital('Western Australia')).toBe('Perth');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should write new lookups to persistent storage', async () => {
+        const storage = createStorage();
+        setLookupStorage(storage);
+        global.fetch = vi.fn().mockResolvedValue(nominatimResponse('Manchester, United Kingdom'));
+
+        await geocodeLocation('Manchester');
+
+        expect(storage.set).toHaveBeenCalledWith(
+            'geocode:manchester',
+            expect.objectContaining({ displayName: 'Manchester, United Kingdom' }),
+            expect.any(Number)
+        );
+    });
+
+    it('should cache area contexts by MBID, including parent areas', async () => {
+        global.fetch = vi.fn()
+            // Camden: part of London, which has no ISO code
+            .mockResolvedValueOnce({
+                ok: true,
+                json: () => Promise.resolve({
+                    id: 'camden',
+                    relations: [{ type: 'part of', direction: 'backward', area: { id: 'london', type: 'City' } }]
+                })
+            })
+            // London: part of England (GB-ENG)
+            .mockResolvedValueOnce({
+                ok: true,
+                json: () => Promise.resolve({
+                    id: 'london',
+                    relations: [{
+                        type: 'part of',
+                        direction: 'backward',
+                        area: { id: 'england', name: 'England', type: 'Subdivision', 'iso-3166-2-codes': ['GB-ENG'] }
+                    }]
+                })
+            });
+
+        const camden = await resolveAreaContext('camden');
+        const london = await resolveAreaContext('london');
+        const again = await resolveAreaContext('camden');
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(camden.country).toBe('United Kingdom');
+        expect(london).toEqual({ country: 'United Kingdom', subdivision: 'England' });
+        expect(again).toEqual(camden);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Provenance Tests
+// ---------------------------------------------------------------------------
+
+describe('scoreConfidence', () => {
+    it('should use the base confidence for each source', () => {
+        for (const [source, confidence] of Object.entries(SOURCE_CONFIDENCE)) {
+            expect(scoreConfidence(source)).toBe(confidence);
+        }
+    });
+
+    it('should rank MusicBrainz above Wikidata above the area fallback', () => {
+        expect(scoreConfidence('musicbrainz')).toBeGreaterThan(scoreConfidence('wikidata'));
+        expect(scoreConfidence('wikidata')).toBeGreaterThan(scoreConfidence('musicbrainz-area'));
+    });
+
+    it('should trust Spotify id matches more than fuzzy name matches', () => {
+        const spotify = scoreConfidence('musicbrainz', { matchedBy: 'spotify' });
+        const exact = scoreConfidence('musicbrainz', { matchedBy: 'exact' });
+        const fuzzy = scoreConfidence('musicbrainz', { matchedBy: 'fuzzy' });
+        expect(spotify).toBe(1);
+        expect(exact).toBe(0.9);
+        expect(fuzzy).toBe(0.75);
+    });
+
+    it('should halve confidence when geocoding failed', () => {
+        expect(scoreConfidence('wikipedia', { geocoded: false })).toBe(0.25);
+    });
+
+    it('should return 0 for unknown sources', () => {
+        expect(scoreConfidence(null)).toBe(0);
+        expect(scoreConfidence('somewhere')).toBe(0);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Source Provider Tests
+// ---------------------------------------------------------------------------
+
+describe('selectSources', () => {
+    it('should default to every source in the default order', () => {
+        expect(selectSources().map(s => s.name)).toEqual(DEFAULT_SOURCE_ORDER);
+        expect(selectSources('').map(s => s.name)).toEqual(DEFAULT_SOURCE_ORDER);
+        expect(selectSources([]).map(s => s.name)).toEqual(DEFAULT_SOURCE_ORDER);
+    });
+
+    it('should accept a comma-separated list in any order', () => {
+        const sources = selectSources(' wikipedia, musicbrainz ');
+        expect(sources).toEqual([RESOLVER_SOURCES.wikipedia, RESOLVER_SOURCES.musicbrainz]);
+    });
+
+    it('should skip unknown sources', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(selectSources(['musicbrainz', 'geocities']).map(s => s.name)).toEqual(['musicbrainz']);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('geocities'));
+        warn.mockRestore();
+    });
+
+    it('should fall back to the default order when no source is known', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(selectSources('geocities, myspace').map(s => s.name)).toEqual(DEFAULT_SOURCE_ORDER);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('default order'));
+        warn.mockRestore();
+    });
+
+    it('should give every source a resolve function', () => {
+        for (const [name, source] of Object.entries(RESOLVER_SOURCES)) {
+            expect(source.name).toBe(name);
+            expect(typeof source.resolve).toBe('function');
+        }
+    });
+});
+
 // ---------------------------------------------------------------------------
 // Main Orchestrator Integration Tests
 // ---------------------------------------------------------------------------
@@ -871,6 +1702,60 @@ describe('resolveArtistLocation', () => {
         const result = await resolveArtistLocation('Taylor Swift');
         expect(result.location_name).toBe('West Reading, United States');
         expect(result.location_coord).toEqual([40.3354, -75.9263]);
+        expect(result.source).toBe('musicbrainz');
+        expect(result.mbid).toBe('abc123');
+        expect(result.matched_name).toBe('Taylor Swift');
+        expect(result.area_type).toBe('City');
+        expect(result.confidence).toBe(0.9);
+    });
+
+    it('should resolve by Spotify id before searching by name', async () => {
+        global.fetch = vi.fn().mockImplementation((url) => {
+            if (url.includes('/ws/2/url?resource=')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        relations: [{ artist: { id: 'mb123', name: 'Bugs' } }]
+                    })
+                });
+            }
+            if (url.includes('/ws/2/artist/mb123')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        id: 'mb123',
+                        name: 'Bugs',
+                        type: 'Group',
+                        'begin-area': { name: 'Brisbane', id: 'area1', type: 'City' }
+                    })
+                });
+            }
+            if (url.includes('musicbrainz.org/ws/2/area/')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({ 'iso-3166-1-codes': ['AU'] })
+                });
+            }
+            if (url.includes('nominatim')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve([{
+                        lat: '-27.4698',
+                        lon: '153.0251',
+                        display_name: 'Brisbane, Queensland, Australia',
+                        addresstype: 'city'
+                    }])
+                });
+            }
+            return Promise.resolve({ ok: false });
+        });
+
+        const result = await resolveArtistLocation('Bugs', { spotifyId: 'sp123' });
+        expect(result.location_name).toBe('Brisbane, Australia');
+        expect(result.mbid).toBe('mb123');
+        expect(result.confidence).toBe(1);
+        const urls = global.fetch.mock.calls.map(call => call[0]);
+        expect(urls.some(url => url.includes('/ws/2/artist/?query='))).toBe(false);
     });
 
     it('should return Unknown when nothing found', async () => {
@@ -882,5 +1767,324 @@ describe('resolveArtistLocation', () => {
         const result = await resolveArtistLocation('Completely Unknown Artist XYZ123');
         expect(result.location_name).toBe('Unknown');
         expect(result.location_coord).toBeNull();
+        expect(result.source).toBeNull();
+        expect(result.confidence).toBe(0);
+    });
+
+    // Wikidata knows a birthplace for any name; Nominatim geocodes anything
+    function mockWithMusicBrainz(mbArtists) {
+        global.fetch = vi.fn().mockImplementation((url) => {
+            if (url.includes('musicbrainz.org/ws/2/artist/?query=')) {
+                return Promise.resolve({ ok: true, json: () => Promise.resolve({ artists: mbArtists }) });
+            }
+            if (url.includes('query.wikidata.org')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({ results: { bindings: [{ placeLabel: { value: 'Oslo' } }] } })
+                });
+            }
+            if (url.includes('nominatim')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve([{ lat: '59.91', lon: '10.75', display_name: 'Oslo, Norway', addresstype: 'city' }])
+                });
+            }
+            return Promise.resolve({ ok: false });
+        });
+    }
+
+    it('should only run the configured sources, in order', async () => {
+        mockWithMusicBrainz([]);
+
+        const result = await resolveArtistLocation('Somebody', { sources: 'wikidata' });
+        expect(result.source).toBe('wikidata');
+        expect(result.location_name).toBe('Oslo, Norway');
+        const urls = global.fetch.mock.calls.map(call => call[0]);
+        expect(urls.some(url => url.includes('musicbrainz.org'))).toBe(false);
+    });
+
+    it('should return Unknown when the configured sources find nothing', async () => {
+        mockWithMusicBrainz([]);
+
+        const result = await resolveArtistLocation('Somebody', { sources: ['musicbrainz', 'musicbrainz-area'] });
+        expect(result.location_name).toBe('Unknown');
+        const urls = global.fetch.mock.calls.map(call => call[0]);
+        expect(urls.some(url => url.includes('wikidata'))).toBe(false);
+    });
+
+    it('should stop when MusicBrainz rejects every candidate', async () => {
+        mockWithMusicBrainz([{ name: 'Billie Holiday', 'sort-name': 'Holiday, Billie', score: 90, id: 'bh' }]);
+
+        const result = await resolveArtistLocation('Keli Holiday');
+        expect(result.location_name).toBe('Unknown');
+        expect(result.mbid).toBeNull();
+        const urls = global.fetch.mock.calls.map(call => call[0]);
+        expect(urls.some(url => url.includes('wikidata'))).toBe(false);
+    });
+
+    it('should skip name-based sources for an exact person match without a location', async () => {
+        mockWithMusicBrainz([{ name: 'Jane Doe', 'sort-name': 'Doe, Jane', score: 100, id: 'jd', type: 'Person' }]);
+
+        const result = await resolveArtistLocation('Jane Doe');
+        expect(result.location_name).toBe('Unknown');
+        expect(result.mbid).toBe('jd');
+        expect(result.matched_name).toBe('Jane Doe');
+        const urls = global.fetch.mock.calls.map(call => call[0]);
+        expect(urls.some(url => url.includes('wikidata') || url.includes('wikipedia'))).toBe(false);
+    });
+
+    it('should let Wikipedia but not the Wikidata label search run for a matched group without a location', async () => {
+        mockWithMusicBrainz([{ name: 'The Band', 'sort-name': 'Band, The', score: 100, id: 'tb', type: 'Group' }]);
+
+        const result = await resolveArtistLocation('The Band', { explain: true });
+        expect(result.mbid).toBe('tb');
+        expect(result.trace).toContainEqual({
+            step: 'source_skipped', source: 'wikidata', reason: 'MusicBrainz matched the artist'
+        });
+        const urls = global.fetch.mock.calls.map(call => call[0]);
+        expect(urls.some(url => url.includes('wikipedia.org'))).toBe(true);
+    });
+
+    it('should fall back to the Wikidata label search when MusicBrainz has no match', async () => {
+        mockWithMusicBrainz([]);
+
+        const result = await resolveArtistLocation('The Band');
+        expect(result.source).toBe('wikidata');
+        expect(result.location_name).toBe('Oslo, Norway');
+    });
+
+    it('should not return a trace unless asked', async () => {
+        mockWithMusicBrainz([]);
+
+        const result = await resolveArtistLocation('Somebody');
+        expect(result.trace).toBeUndefined();
+    });
+
+    it('should trace candidates, rejections and geocoding when explaining', async () => {
+        mockWithMusicBrainz([
+            { name: 'Billie Holiday', 'sort-name': 'Holiday, Billie', score: 90, id: 'bh' },
+            { name: 'The Band', 'sort-name': 'Band, The', score: 100, id: 'tb', type: 'Group' },
+            { name: 'Band Tribute', 'sort-name': 'Band Tribute', score: 50, id: 'bt' }
+        ]);
+
+        const result = await resolveArtistLocation('The Band', { explain: true });
+        const steps = result.trace.map(step => step.step);
+
+        expect(steps[0]).toBe('source');
+        expect(result.trace).toContainEqual(expect.objectContaining({
+            step: 'query', service: 'musicbrainz', url: expect.stringContaining('/ws/2/artist/?query=')
+        }));
+        expect(result.trace).toContainEqual(expect.objectContaining({
+            step: 'candidate', mbid: 'bh', score: 90, accepted: false, reason: 'name mismatch'
+        }));
+        expect(result.trace).toContainEqual(expect.objectContaining({
+            step: 'candidate', mbid: 'tb', accepted: true, reason: 'exact match without a location'
+        }));
+        expect(result.trace).toContainEqual(expect.objectContaining({
+            step: 'candidate', mbid: 'bt', accepted: false, reason: 'score below 70'
+        }));
+
+        mockWithMusicBrainz([]);
+        const labelled = await resolveArtistLocation('The Band', { explain: true });
+        expect(labelled.trace).toContainEqual({ step: 'wikidata', name: 'The Band', location: 'Oslo' });
+        expect(labelled.trace).toContainEqual(expect.objectContaining({
+            step: 'geocode_attempt', service: 'nominatim', query: 'Oslo', found: true
+        }));
+        expect(labelled.trace).toContainEqual(expect.objectContaining({
+            step: 'geocode', query: 'Oslo', cached: false,
+            result: { display_name: 'Oslo, Norway', coords: [59.91, 10.75], address_type: 'city' }
+        }));
+        expect(labelled.trace[labelled.trace.length - 1]).toEqual({
+            step: 'result', source: 'wikidata', location_name: 'Oslo, Norway', confidence: 0.6
+        });
+    });
+
+    it('should trace skipped sources and early stops', async () => {
+        mockWithMusicBrainz([{ name: 'Jane Doe', 'sort-name': 'Doe, Jane', score: 100, id: 'jd', type: 'Person' }]);
+        const skipped = await resolveArtistLocation('Jane Doe', { explain: true });
+        expect(skipped.trace).toContainEqual({
+            step: 'source_skipped', source: 'wikidata', reason: 'exact MusicBrainz match has no location'
+        });
+
+        mockWithMusicBrainz([{ name: 'Billie Holiday', 'sort-name': 'Holiday, Billie', score: 90, id: 'bh' }]);
+        const stopped = await resolveArtistLocation('Keli Holiday', { explain: true });
+        expect(stopped.trace).toContainEqual({ step: 'stop', reason: 'MusicBrainz rejected every candidate' });
+        expect(stopped.trace[stopped.trace.length - 1]).toEqual({
+            step: 'result', source: null, location_name: 'Unknown', confidence: 0
+        });
+    });
+
+    it('should use the linked Wikidata item\'s coordinates without geocoding', async () => {
+        global.fetch = vi.fn().mockImplementation((url) => {
+            if (url.includes('/ws/2/artist/?query=')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        artists: [{ name: 'Jane Doe', 'sort-name': 'Doe, Jane', score: 100, id: 'jd', type: 'Person' }]
+                    })
+                });
+            }
+            if (url.includes('/ws/2/artist/jd?inc=artist-rels+url-rels')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        relations: [{ type: 'wikidata', url: { resource: 'https://www.wikidata.org/wiki/Q77' } }]
+                    })
+                });
+            }
+            if (url.includes('query.wikidata.org')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        results: {
+                            bindings: [{
+                                property: { value: 'P19' },
+                                placeLabel: { value: 'Bergen' },
+                                countryLabel: { value: 'Norway' },
+                                coord: { value: 'Point(5.32 60.39)' }
+                            }]
+                        }
+                    })
+                });
+            }
+            return Promise.resolve({ ok: false });
+        });
+
+        const result = await resolveArtistLocation('Jane Doe');
+        expect(result.source).toBe('wikidata-entity');
+        expect(result.location_name).toBe('Bergen, Norway');
+        expect(result.location_coord).toEqual([60.39, 5.32]);
+        expect(result.mbid).toBe('jd');
+        expect(result.confidence).toBe(0.8);
+        const urls = global.fetch.mock.calls.map(call => decodeURIComponent(call[0]));
+        expect(urls.some(url => url.includes('nominatim'))).toBe(false);
+        // Only the entity query, no label search
+        expect(urls.some(url => url.includes('rdfs:label'))).toBe(false);
+        // The relationship and Wikidata sources share one artist lookup
+        expect(urls.filter(url => url.includes('/ws/2/artist/jd?'))).toHaveLength(1);
+    });
+
+    it('should not use a colliding Wikidata label when the linked item exists', async () => {
+        global.fetch = vi.fn().mockImplementation((url) => {
+            if (url.includes('/ws/2/artist/?query=')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        artists: [{ name: 'Jane Doe', 'sort-name': 'Doe, Jane', score: 100, id: 'jd', type: 'Group' }]
+                    })
+                });
+            }
+            if (url.includes('/ws/2/artist/jd?inc=artist-rels+url-rels')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        relations: [{ type: 'wikidata', url: { resource: 'https://www.wikidata.org/wiki/Q77' } }]
+                    })
+                });
+            }
+            if (url.includes('query.wikidata.org')) {
+                const sparql = decodeURIComponent(url);
+                // The linked item has a place...
+                if (sparql.includes('wd:Q77')) {
+                    return Promise.resolve({
+                        ok: true,
+                        json: () => Promise.resolve({
+                            results: {
+                                bindings: [{
+                                    property: { value: 'P740' },
+                                    placeLabel: { value: 'Bergen' },
+                                    countryLabel: { value: 'Norway' },
+                                    coord: { value: 'Point(5.32 60.39)' }
+                                }]
+                            }
+                        })
+                    });
+                }
+                // ...and a namesake found by label lives elsewhere
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({ results: { bindings: [{ placeLabel: { value: 'Lagos' } }] } })
+                });
+            }
+            return Promise.resolve({ ok: false });
+        });
+
+        const result = await resolveArtistLocation('Jane Doe', { sources: 'musicbrainz,wikidata,wikidata-entity' });
+        expect(result.source).toBe('wikidata-entity');
+        expect(result.location_name).toBe('Bergen, Norway');
+        const urls = global.fetch.mock.calls.map(call => decodeURIComponent(call[0]));
+        expect(urls.some(url => url.includes('rdfs:label'))).toBe(false);
+    });
+
+    it('should skip the label search when the linked item has no place', async () => {
+        global.fetch = vi.fn().mockImplementation((url) => {
+            if (url.includes('/ws/2/artist/?query=')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        artists: [{ name: 'The Band', 'sort-name': 'Band, The', score: 100, id: 'tb', type: 'Group' }]
+                    })
+                });
+            }
+            if (url.includes('/ws/2/artist/tb?inc=artist-rels+url-rels')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        relations: [{ type: 'wikidata', url: { resource: 'https://www.wikidata.org/wiki/Q88' } }]
+                    })
+                });
+            }
+            if (url.includes('query.wikidata.org')) {
+                return Promise.resolve({ ok: true, json: () => Promise.resolve({ results: { bindings: [] } }) });
+            }
+            return Promise.resolve({ ok: false });
+        });
+
+        const result = await resolveArtistLocation('The Band', { sources: 'musicbrainz,wikidata-entity,wikidata', explain: true });
+        expect(result.location_name).toBe('Unknown');
+        expect(result.trace).toContainEqual({
+            step: 'source_skipped', source: 'wikidata', reason: 'Wikidata item Q88 has no place'
+        });
+    });
+
+    it('should look up the artist on other Wikipedias suggested by their genres', async () => {
+        global.fetch = vi.fn().mockImplementation((url) => {
+            if (url.startsWith('https://en.wikipedia.org/')) {
+                return Promise.resolve({ ok: true, json: () => Promise.resolve({ query: { search: [] } }) });
+            }
+            if (url.startsWith('https://ru.wikipedia.org/') && url.includes('list=search')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({ query: { search: [{ title: 'Кино (группа)' }] } })
+                });
+            }
+            if (url.startsWith('https://ru.wikipedia.org/')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({ query: { pages: { 7: { pageprops: { wikibase_item: 'Q1054366' } } } } })
+                });
+            }
+            if (url.includes('query.wikidata.org')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        results: {
+                            bindings: [{
+                                property: { value: 'P740' },
+                                placeLabel: { value: 'Saint Petersburg' },
+                                countryLabel: { value: 'Russia' },
+                                coord: { value: 'Point(30.31 59.94)' }
+                            }]
+                        }
+                    })
+                });
+            }
+            return Promise.resolve({ ok: false });
+        });
+
+        const result = await resolveArtistLocation('Kino', { sources: 'wikipedia', genres: ['russian rock'] });
+        expect(result.source).toBe('wikipedia');
+        expect(result.location_name).toBe('Saint Petersburg, Russia');
+        expect(result.location_coord).toEqual([59.94, 30.31]);
     });
 });
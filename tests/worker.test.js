@@ -16,19 +16,22 @@ vi.mock('../shared/location-resolver.js', () => ({
     geocodeLocation: vi.fn().mockResolvedValue({
         coords: [0, 0],
         displayName: 'Test City, Test Country'
-    })
+    }),
+    setLookupStorage: vi.fn()
 }));
 
 // Import worker after mocking
 import workerModule from '../worker/src/index.js';
-import { resolveArtistLocation, geocodeLocation } from '../shared/location-resolver.js';
+import { TokenBucketLimiter, MemoryBucketStore } from '../worker/src/rate-limit.js';
+import { resolveArtistLocation, geocodeLocation, setLookupStorage } from '../shared/location-resolver.js';
+import { KVLookupStorage } from '../worker/src/lookup-storage.js';
 
 // Helper to create a mock Request
-function createRequest(method, path, body = null) {
+function createRequest(method, path, body = null, headers = {}) {
     const url = `http://localhost:8787${path}`;
     const options = {
         method,
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'application/json', ...headers }
     };
     if (body) {
         options.body = JSON.stringify(body);
@@ -39,32 +42,51 @@ function createRequest(method, path, body = null) {
 // Helper to create mock KV namespace
 function createMockKV() {
     const store = new Map();
+    const metadata = new Map();
     return {
         get: vi.fn(async (key, type) => {
             const value = store.get(key);
             if (type === 'json' && value) return JSON.parse(value);
             return value || null;
         }),
-        put: vi.fn(async (key, value) => {
+        put: vi.fn(async (key, value, options = {}) => {
             store.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+            metadata.set(key, options.metadata);
         }),
         delete: vi.fn(async (key) => {
             store.delete(key);
+            metadata.delete(key);
         }),
+        list: vi.fn(async ({ prefix = '' } = {}) => ({
+            keys: [...store.keys()].filter(k => k.startsWith(prefix))
+                .map(name => ({ name, metadata: metadata.get(name) })),
+            list_complete: true
+        })),
         _store: store
     };
 }
 
+// Parse an NDJSON stream into its event lines
+async function readEvents(response) {
+    return (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+}
+
+// Parse an NDJSON stream and keep the lines of one event type
+async function readResults(response, type = 'result') {
+    return (await readEvents(response)).filter(line => line.type === type);
+}
+
 describe('Worker Routing', () => {
     it('should handle CORS preflight requests', async () => {
         const request = new Request('http://localhost:8787/api/artists', {
-            method: 'OPTIONS'
+            method: 'OPTIONS',
+            headers: { Origin: 'http://127.0.0.1:8080' }
         });
 
         const response = await workerModule.fetch(request, {}, {});
 
         expect(response.status).toBe(200);
-        expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+        expect(response.headers.get('Access-Control-Allow-Origin')).toBe('http://127.0.0.1:8080');
         expect(response.headers.get('Access-Control-Allow-Methods')).toContain('POST');
     });
 
@@ -82,15 +104,184 @@ describe('Worker Routing', () => {
         const response = await workerModule.fetch(request, {}, {});
 
         expect(response.status).toBe(404);
-        expect(await response.text()).toBe('Not Found');
+        expect(await response.json()).toEqual({ error: 'Not found', code: 'not_found' });
+    });
+
+    it('should return 405 with Allow for known paths and the wrong method', async () => {
+        const request = createRequest('GET', '/api/artists');
+        const response = await workerModule.fetch(request, {}, {});
+
+        expect(response.status).toBe(405);
+        expect(response.headers.get('Allow')).toBe('POST');
+        expect((await response.json()).code).toBe('method_not_allowed');
+    });
+
+    it('should pass path params to handlers decoded', async () => {
+        const response = await workerModule.fetch(createRequest('GET', '/api/jobs/a%20b'), {}, {});
+
+        expect(response.status).toBe(404);
+        expect((await response.json()).error).toBe('Job not found');
     });
 
     it('should have CORS headers on all responses', async () => {
-        const request = createRequest('GET', '/health');
+        const request = createRequest('GET', '/health', null, { Origin: 'https://spotify.tali.vision' });
+        const response = await workerModule.fetch(request, {}, {});
+
+        expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://spotify.tali.vision');
+        expect(response.headers.get('Vary')).toBe('Origin');
+    });
+});
+
+describe('Request validation', () => {
+    const ADMIN_TOKEN = 'test-admin-token';
+    const auth = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+    async function post(body) {
+        const response = await workerModule.fetch(createRequest('POST', '/api/artists', body), {}, {});
+        return { status: response.status, body: await response.json() };
+    }
+
+    it('should reject blank artist names with the offending path', async () => {
+        const { status, body } = await post({ artists: ['Bugs', '   '] });
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('invalid_request');
+        expect(body.details).toEqual([{ path: 'body.artists[1]', message: 'must not be blank' }]);
+        expect(body.error).toBe('Invalid request: body.artists[1] must not be blank');
+    });
+
+    it('should reject artist names over the length limit', async () => {
+        const { status, body } = await post({ artists: ['x'.repeat(201)] });
+
+        expect(status).toBe(400);
+        expect(body.details[0].message).toBe('must be at most 200 characters');
+    });
+
+    it('should check object entries field by field', async () => {
+        const { body } = await post({ artists: [{ spotifyId: 'sp1' }, { name: 'Bugs', spotifyId: 42 }] });
+
+        expect(body.details).toEqual([
+            { path: 'body.artists[0].name', message: 'is required' },
+            { path: 'body.artists[1].spotifyId', message: 'must be string or null' }
+        ]);
+    });
+
+    it('should reject entries that are neither names nor objects', async () => {
+        const { body } = await post({ artists: [7] });
+
+        expect(body.details).toEqual([{ path: 'body.artists[0]', message: 'must be string or object' }]);
+    });
+
+    it('should validate override coordinates', async () => {
+        const request = createRequest('PUT', '/api/overrides/Bugs', {
+            location_name: 'Nowhere',
+            location_coord: [12, 200]
+        }, auth);
+        const response = await workerModule.fetch(request, { ADMIN_TOKEN, ARTIST_OVERRIDES: createMockKV() }, {});
+
+        expect(response.status).toBe(400);
+        expect((await response.json()).details).toEqual([
+            { path: 'body.location_coord[1]', message: 'must be at most 180' }
+        ]);
+    });
+
+    it('should give auth and rate limit errors codes too', async () => {
+        const unauthorized = await workerModule.fetch(
+            createRequest('DELETE', '/api/cache', { artists: ['Bugs'] }), { ADMIN_TOKEN }, {});
+        expect((await unauthorized.json()).code).toBe('missing_admin_token');
+
+        const env = { RATE_LIMIT: createMockKV(), RATE_LIMIT_CAPACITY: '1' };
+        const client = { 'CF-Connecting-IP': '192.0.2.90' };
+        await (await workerModule.fetch(createRequest('POST', '/api/artists', { artists: ['One'] }, client), env, {})).text();
+        const limited = await workerModule.fetch(createRequest('POST', '/api/artists', { artists: ['Two'] }, client), env, {});
+        expect(await limited.json()).toMatchObject({ code: 'rate_limited', error: 'Rate limit exceeded' });
+    });
+});
+
+describe('OpenAPI document', () => {
+    async function getDocument() {
+        const response = await workerModule.fetch(createRequest('GET', '/api/openapi.json'), {}, {});
+        expect(response.status).toBe(200);
+        expect(response.headers.get('Content-Type')).toBe('application/json');
+        return response.json();
+    }
+
+    it('should describe every route', async () => {
+        const doc = await getDocument();
+
+        expect(doc.openapi).toBe('3.1.0');
+        expect(Object.keys(doc.paths)).toEqual(expect.arrayContaining([
+            '/health', '/api/artists', '/api/artist', '/api/jobs', '/api/jobs/{id}',
+            '/api/overrides', '/api/overrides/{artist}', '/api/cache/stats', '/api/cache'
+        ]));
+        expect(doc.paths['/api/jobs/{id}'].get.parameters.map(p => p.name)).toEqual(['id', 'from']);
+    });
+
+    it('should publish the schemas used for validation', async () => {
+        const doc = await getDocument();
+        const schema = doc.paths['/api/artists'].post.requestBody.content['application/json'].schema;
+
+        expect(schema.required).toEqual(['artists']);
+        expect(schema.properties.artists.items.anyOf[0]).toMatchObject({ type: 'string', maxLength: 200 });
+    });
+
+    it('should mark admin routes and document error responses', async () => {
+        const doc = await getDocument();
+        const deleteCache = doc.paths['/api/cache'].delete;
+
+        expect(deleteCache.security).toEqual([{ adminToken: [] }]);
+        expect(deleteCache.responses['401'].content['application/json'].schema)
+            .toEqual({ $ref: '#/components/schemas/Error' });
+        expect(doc.components.schemas.Error.required).toEqual(['error', 'code']);
+    });
+});
+
+describe('Allowed origins', () => {
+    it('should reject requests from origins not in the list', async () => {
+        const request = createRequest('GET', '/health', null, { Origin: 'https://evil.example' });
         const response = await workerModule.fetch(request, {}, {});
 
+        expect(response.status).toBe(403);
+        expect((await response.json()).error).toBe('Origin not allowed');
+        expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    });
+
+    it('should reject preflights from origins not in the list', async () => {
+        const request = new Request('http://localhost:8787/api/cache', {
+            method: 'OPTIONS',
+            headers: { Origin: 'https://evil.example' }
+        });
+        const response = await workerModule.fetch(request, {}, {});
+
+        expect(response.status).toBe(403);
+    });
+
+    it('should read the allowed origins from env', async () => {
+        const env = { ALLOWED_ORIGINS: 'https://a.example, https://b.example' };
+
+        const allowed = createRequest('GET', '/health', null, { Origin: 'https://b.example' });
+        const allowedResponse = await workerModule.fetch(allowed, env, {});
+        expect(allowedResponse.headers.get('Access-Control-Allow-Origin')).toBe('https://b.example');
+
+        const defaultOrigin = createRequest('GET', '/health', null, { Origin: 'https://spotify.tali.vision' });
+        expect((await workerModule.fetch(defaultOrigin, env, {})).status).toBe(403);
+    });
+
+    it('should allow any origin when configured with *', async () => {
+        const request = createRequest('GET', '/health', null, { Origin: 'https://anything.example' });
+        const response = await workerModule.fetch(request, { ALLOWED_ORIGINS: '*' }, {});
+
+        expect(response.status).toBe(200);
         expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
     });
+
+    it('should serve requests without an Origin header', async () => {
+        const request = createRequest('GET', '/health');
+        const response = await workerModule.fetch(request, {}, {});
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+    });
 });
 
 describe('POST /api/artists', () => {
@@ -104,7 +295,8 @@ describe('POST /api/artists', () => {
 
         expect(response.status).toBe(400);
         const body = await response.json();
-        expect(body.error).toBe('Invalid artists array');
+        expect(body.code).toBe('invalid_request');
+        expect(body.details).toEqual([{ path: 'body.artists', message: 'is required' }]);
     });
 
     it('should return 400 for empty artists array', async () => {
@@ -142,149 +334,1426 @@ describe('POST /api/artists', () => {
         const request = createRequest('POST', '/api/artists', { artists: ['Test Artist'] });
         const response = await workerModule.fetch(request, {}, {});
 
-        const text = await response.text();
-        const lines = text.trim().split('\n');
+        const lines = await readResults(response);
 
         expect(lines.length).toBeGreaterThanOrEqual(1);
 
-        const parsed = JSON.parse(lines[0]);
+        const parsed = lines[0];
         expect(parsed.artist).toBe('Test Artist');
         expect(parsed.location_name).toBe('Sydney, Australia');
         expect(parsed.location_coord).toEqual([-33.8688, 151.2093]);
     });
 });
 
-describe('KV Caching', () => {
+describe('Stream events', () => {
+    const client = { 'CF-Connecting-IP': '192.0.2.61' };
+
     beforeEach(() => {
         vi.clearAllMocks();
     });
 
-    it('should use cached results when available', async () => {
-        const mockKV = createMockKV();
-        await mockKV.put('artist:test artist', JSON.stringify({
-            location_name: 'Cached City',
-            location_coord: [1, 2]
-        }));
+    afterEach(() => {
+        resolveArtistLocation.mockResolvedValue({
+            location_name: 'Test City, Test Country',
+            location_coord: [0, 0]
+        });
+    });
 
-        const request = createRequest('POST', '/api/artists', { artists: ['Test Artist'] });
-        const response = await workerModule.fetch(request, { ARTIST_CACHE: mockKV }, {});
+    it('should follow every answered artist with a progress event', async () => {
+        const cache = createMockKV();
+        await cache.put('artist:cached', JSON.stringify({ location_name: 'Perth, Australia', location_coord: [-31.95, 115.86] }));
 
-        const text = await response.text();
-        const result = JSON.parse(text.trim());
+        const response = await workerModule.fetch(
+            createRequest('POST', '/api/artists', { artists: ['Cached', 'New'] }), { ARTIST_CACHE: cache }, {});
+        const lines = await readEvents(response);
 
-        expect(result.location_name).toBe('Cached City');
-        expect(result.location_coord).toEqual([1, 2]);
-        // Should not call resolve function for cached results
-        expect(resolveArtistLocation).not.toHaveBeenCalled();
+        expect(lines.map(line => line.type)).toEqual(['result', 'progress', 'result', 'progress', 'done']);
+        expect(lines[1]).toEqual({ type: 'progress', completed: 1, total: 2 });
+        expect(lines[3]).toEqual({ type: 'progress', completed: 2, total: 2 });
     });
 
-    it('should cache new results', async () => {
+    it('should end with totals and timing', async () => {
+        resolveArtistLocation.mockImplementation(async (name) => {
+            if (name === 'Broken') throw new Error('MusicBrainz down');
+            return { location_name: `${name} City`, location_coord: [1, 1] };
+        });
+        const cache = createMockKV();
+        await cache.put('artist:cached', JSON.stringify({ location_name: 'Perth, Australia', location_coord: [-31.95, 115.86] }));
+        const env = { ARTIST_CACHE: cache, RATE_LIMIT: createMockKV(), UNCACHED_LOOKUP_BUDGET: '2' };
+
+        const response = await workerModule.fetch(createRequest('POST', '/api/artists', {
+            artists: ['Cached', 'Broken', 'Fine', 'Later']
+        }, client), env, {});
+        const lines = await readEvents(response);
+        const done = lines[lines.length - 1];
+
+        expect(done).toMatchObject({ type: 'done', total: 4, results: 2, errors: 1, deferred: 1, cached: 1 });
+        expect(done.duration_ms).toBeGreaterThanOrEqual(0);
+        // Deferred artists aren't part of this stream's progress
+        expect(lines.filter(line => line.type === 'progress').pop()).toEqual({ type: 'progress', completed: 3, total: 3 });
+    });
+
+    it('should report failed artists in job streams without retrying them on restart', async () => {
+        resolveArtistLocation.mockRejectedValue(new Error('MusicBrainz down'));
+        const tasks = [];
+        const ctx = { waitUntil: vi.fn(task => tasks.push(task)) };
+        const env = { ARTIST_JOBS: createMockKV() };
+
+        const job = await (await workerModule.fetch(
+            createRequest('POST', '/api/jobs', { artists: ['Broken'] }), env, ctx)).json();
+        await Promise.all(tasks);
+
+        const lines = await readEvents(
+            await workerModule.fetch(createRequest('GET', `/api/jobs/${job.id}`), env, {}));
+        expect(lines[0]).toMatchObject({ type: 'error', artist: 'Broken', code: 'resolve_failed' });
+        expect(lines[1]).toMatchObject({ type: 'done', errors: 1, results: 0, status: 'done', next: 1 });
+        expect(resolveArtistLocation).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('Concurrent resolution', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    afterEach(() => {
         resolveArtistLocation.mockResolvedValue({
-            location_name: 'New City',
-            location_coord: [3, 4]
+            location_name: 'Test City, Test Country',
+            location_coord: [0, 0]
+        });
+    });
+
+    it('should resolve several artists at once up to the concurrency limit', async () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+        resolveArtistLocation.mockImplementation(async (name) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await new Promise(r => setTimeout(r, 10));
+            inFlight--;
+            return { location_name: `${name} City`, location_coord: [1, 1] };
+        });
+
+        const artists = ['A', 'B', 'C', 'D', 'E', 'F'];
+        const request = createRequest('POST', '/api/artists', { artists });
+        const response = await workerModule.fetch(request, { RESOLVE_CONCURRENCY: '3' }, {});
+        const lines = await readResults(response);
+
+        expect(lines.map(line => line.artist).sort()).toEqual(artists);
+        expect(maxInFlight).toBe(3);
+    });
+
+    it('should stream results in completion order', async () => {
+        const delays = { Slow: 40, Medium: 20, Fast: 1 };
+        resolveArtistLocation.mockImplementation(async (name) => {
+            await new Promise(r => setTimeout(r, delays[name]));
+            return { location_name: `${name} City`, location_coord: [1, 1] };
         });
 
+        const request = createRequest('POST', '/api/artists', { artists: ['Slow', 'Medium', 'Fast'] });
+        const response = await workerModule.fetch(request, {}, {});
+        const lines = await readResults(response);
+
+        expect(lines.map(line => line.artist)).toEqual(['Fast', 'Medium', 'Slow']);
+    });
+
+    it('should keep streaming when one artist fails', async () => {
+        resolveArtistLocation.mockImplementation(async (name) => {
+            if (name === 'Broken') throw new Error('MusicBrainz down');
+            return { location_name: `${name} City`, location_coord: [1, 1] };
+        });
         const mockKV = createMockKV();
 
-        const request = createRequest('POST', '/api/artists', { artists: ['New Artist'] });
+        const request = createRequest('POST', '/api/artists', { artists: ['Broken', 'Fine'] });
         const response = await workerModule.fetch(request, { ARTIST_CACHE: mockKV }, {});
+        const lines = await readEvents(response);
+
+        const results = lines.filter(line => line.type === 'result');
+        expect(results).toHaveLength(1);
+        expect(results[0].artist).toBe('Fine');
+        expect(lines).toContainEqual({
+            type: 'error',
+            artist: 'Broken',
+            code: 'resolve_failed',
+            error: 'MusicBrainz down',
+            retryable: true
+        });
+        expect(mockKV._store.has('artist:broken')).toBe(false);
+    });
+});
 
-        // Must consume the stream to trigger caching
-        await response.text();
+describe('Background jobs', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
 
-        expect(mockKV.put).toHaveBeenCalled();
-        const putCall = mockKV.put.mock.calls.find(call => call[0] === 'artist:new artist');
-        expect(putCall).toBeDefined();
+    // Collects the promises handed to ctx.waitUntil so tests can await them
+    function createCtx() {
+        const tasks = [];
+        return { tasks, waitUntil: vi.fn(promise => tasks.push(promise)) };
+    }
 
-        const cachedData = JSON.parse(putCall[1]);
-        expect(cachedData.location_name).toBe('New City');
+    it('should return a job id immediately and resolve in the background', async () => {
+        const ctx = createCtx();
+        const env = { ARTIST_JOBS: createMockKV() };
+
+        const response = await workerModule.fetch(
+            createRequest('POST', '/api/jobs', { artists: ['Bugs', 'Middle Kids'] }), env, ctx);
+        expect(response.status).toBe(202);
+        const job = await response.json();
+        expect(job.id).toBeTruthy();
+        expect(job.status).toBe('running');
+        expect(job.total).toBe(2);
+        expect(job.url).toBe(`/api/jobs/${job.id}`);
+        expect(ctx.waitUntil).toHaveBeenCalledTimes(1);
+
+        await Promise.all(ctx.tasks);
+
+        const lines = await readEvents(
+            await workerModule.fetch(createRequest('GET', `/api/jobs/${job.id}`), env, createCtx()));
+        expect(lines.slice(0, 2).map(line => line.artist).sort()).toEqual(['Bugs', 'Middle Kids']);
+        expect(lines[2]).toMatchObject({
+            type: 'done',
+            total: 2,
+            results: 2,
+            errors: 0,
+            deferred: 0,
+            cached: 0,
+            job: job.id,
+            status: 'done',
+            next: 2
+        });
     });
 
-    it('should retry geocoding for cached results with name but no coordinates', async () => {
-        const mockKV = createMockKV();
-        await mockKV.put('artist:test artist', JSON.stringify({
-            location_name: 'Sydney',
-            location_coord: null
+    it('should include cache hits without starting background work', async () => {
+        const ctx = createCtx();
+        const cache = createMockKV();
+        await cache.put('artist:bugs', JSON.stringify({ location_name: 'Brisbane, Australia', location_coord: [-27.47, 153.03] }));
+        const env = { ARTIST_CACHE: cache };
+
+        const job = await (await workerModule.fetch(
+            createRequest('POST', '/api/jobs', { artists: ['Bugs'] }), env, ctx)).json();
+        expect(job.status).toBe('done');
+        expect(ctx.waitUntil).not.toHaveBeenCalled();
+
+        const lines = await readEvents(
+            await workerModule.fetch(createRequest('GET', `/api/jobs/${job.id}`), env, createCtx()));
+        expect(lines[0]).toMatchObject({ artist: 'Bugs', location_name: 'Brisbane, Australia' });
+        expect(resolveArtistLocation).not.toHaveBeenCalled();
+    });
+
+    it('should resume a stream from a given line', async () => {
+        const ctx = createCtx();
+        const env = {};
+
+        const job = await (await workerModule.fetch(
+            createRequest('POST', '/api/jobs', { artists: ['A', 'B', 'C'] }), env, ctx)).json();
+        await Promise.all(ctx.tasks);
+
+        const all = await readEvents(
+            await workerModule.fetch(createRequest('GET', `/api/jobs/${job.id}`), env, createCtx()));
+        const resumed = await readEvents(
+            await workerModule.fetch(createRequest('GET', `/api/jobs/${job.id}?from=2`), env, createCtx()));
+
+        expect(resumed).toEqual([all[2], all[3]]);
+        expect(resumed[1]).toMatchObject({ type: 'done', job: job.id, status: 'done', next: 3 });
+    });
+
+    it('should restart a stalled job without redoing finished artists', async () => {
+        const jobs = createMockKV();
+        await jobs.put('job:stalled', JSON.stringify({
+            id: 'stalled',
+            status: 'running',
+            total: 2,
+            artists: [{ name: 'Done', spotifyId: null }, { name: 'Pending', spotifyId: 'sp1' }],
+            results: [{ artist: 'Done', location_name: 'Perth, Australia', location_coord: [-31.95, 115.86] }],
+            created_at: 0,
+            updated_at: 0
         }));
+        const ctx = createCtx();
 
-        geocodeLocation.mockResolvedValue({
-            coords: [-33.8688, 151.2093],
-            displayName: 'Sydney, Australia'
-        });
+        const response = await workerModule.fetch(
+            createRequest('GET', '/api/jobs/stalled'), { ARTIST_JOBS: jobs }, ctx);
+        expect(ctx.waitUntil).toHaveBeenCalledTimes(1);
+        await Promise.all(ctx.tasks);
 
-        const request = createRequest('POST', '/api/artists', { artists: ['Test Artist'] });
-        const response = await workerModule.fetch(request, { ARTIST_CACHE: mockKV }, {});
+        expect(resolveArtistLocation).toHaveBeenCalledTimes(1);
+        expect(resolveArtistLocation).toHaveBeenCalledWith('Pending', { spotifyId: 'sp1' });
 
-        const text = await response.text();
-        const result = JSON.parse(text.trim());
+        const lines = (await readEvents(response)).filter(line => line.type !== 'progress');
+        expect(lines.map(line => line.artist || line.type)).toEqual(['Done', 'Pending', 'done']);
+    });
 
-        expect(geocodeLocation).toHaveBeenCalledWith('Sydney');
-        expect(result.location_coord).toEqual([-33.8688, 151.2093]);
+    it('should resume a stalled job only once when polled concurrently', async () => {
+        const jobs = createMockKV();
+        await jobs.put('job:stalled', JSON.stringify({
+            id: 'stalled',
+            status: 'running',
+            total: 2,
+            artists: [{ name: 'Done', spotifyId: null }, { name: 'Pending', spotifyId: null }],
+            results: [{ artist: 'Done', location_name: 'Perth, Australia', location_coord: [-31.95, 115.86] }],
+            created_at: 0,
+            updated_at: 0
+        }));
+        const env = { ARTIST_JOBS: jobs };
+        const ctx = createCtx();
+
+        const responses = await Promise.all([
+            workerModule.fetch(createRequest('GET', '/api/jobs/stalled'), env, ctx),
+            workerModule.fetch(createRequest('GET', '/api/jobs/stalled'), env, ctx)
+        ]);
+        expect(ctx.waitUntil).toHaveBeenCalledTimes(1);
+        await Promise.all(ctx.tasks);
+
+        expect(resolveArtistLocation).toHaveBeenCalledTimes(1);
+        for (const response of responses) {
+            const lines = (await readEvents(response)).filter(line => line.type !== 'progress');
+            expect(lines.map(line => line.artist || line.type)).toEqual(['Done', 'Pending', 'done']);
+        }
     });
 
-    it('should work without KV (fallback mode)', async () => {
+    it('should stop the original runner once a poll has taken over its job', async () => {
+        let finishSlowLookup;
+        resolveArtistLocation.mockResolvedValue({ location_name: 'Test City, Test Country', location_coord: [0, 0] });
+        resolveArtistLocation.mockImplementationOnce(() => new Promise(resolve => {
+            finishSlowLookup = () => resolve({ location_name: 'Slow City', location_coord: [1, 1] });
+        }));
+        const jobs = createMockKV();
+        const env = { ARTIST_JOBS: jobs, RESOLVE_CONCURRENCY: '1' };
+        const ctx = createCtx();
+        vi.useFakeTimers({ toFake: ['Date'] });
+
+        try {
+            const job = await (await workerModule.fetch(
+                createRequest('POST', '/api/jobs', { artists: ['One', 'Two'] }), env, ctx)).json();
+            const key = `job:${job.id}`;
+
+            // The original runner is stuck on One past its lease; a poll takes over
+            vi.setSystemTime(Date.now() + 61 * 1000);
+            const resumeCtx = createCtx();
+            await workerModule.fetch(createRequest('GET', `/api/jobs/${job.id}`), env, resumeCtx);
+            expect(resumeCtx.waitUntil).toHaveBeenCalledTimes(1);
+            const resumer = JSON.parse(jobs._store.get(key)).lease.owner;
+            const takeoverPuts = jobs.put.mock.calls.length;
+
+            // One comes back to both runners, and both try to save progress
+            vi.setSystemTime(Date.now() + 2000);
+            finishSlowLookup();
+            await Promise.all([...ctx.tasks, ...resumeCtx.tasks]);
+
+            const laterPuts = jobs.put.mock.calls.slice(takeoverPuts).filter(([putKey]) => putKey === key);
+            expect(laterPuts.length).toBeGreaterThan(0);
+            for (const [, value] of laterPuts) {
+                expect(JSON.parse(value).lease.owner).toBe(resumer);
+            }
+
+            const stored = JSON.parse(jobs._store.get(key));
+            expect(stored.status).toBe('done');
+            expect(stored.results.map(result => result.artist)).toEqual(['One', 'Two']);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+        const response = await workerModule.fetch(createRequest('GET', '/api/jobs/nope'), {}, createCtx());
+        expect(response.status).toBe(404);
+        expect((await response.json()).error).toBe('Job not found');
+    });
+
+    it('should validate the payload like /api/artists', async () => {
+        const response = await workerModule.fetch(createRequest('POST', '/api/jobs', { artists: [] }), {}, createCtx());
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('In-flight lookup coalescing', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    afterEach(() => {
         resolveArtistLocation.mockResolvedValue({
-            location_name: 'Test City',
+            location_name: 'Test City, Test Country',
             location_coord: [0, 0]
         });
+    });
 
-        const request = createRequest('POST', '/api/artists', { artists: ['Test Artist'] });
-        const response = await workerModule.fetch(request, {}, {}); // No ARTIST_CACHE
+    it('should share one resolution between concurrent requests for the same artist', async () => {
+        let finish;
+        resolveArtistLocation.mockImplementation(() => new Promise(resolve => {
+            finish = () => resolve({ location_name: 'Sydney, Australia', location_coord: [-33.87, 151.21] });
+        }));
 
-        expect(response.status).toBe(200);
-        const text = await response.text();
-        const result = JSON.parse(text.trim());
-        expect(result.location_name).toBe('Test City');
+        const first = workerModule.fetch(createRequest('POST', '/api/artists', { artists: ['Flight Facilities'] }), {}, {});
+        const second = workerModule.fetch(createRequest('POST', '/api/artists', { artists: ['flight facilities'] }), {}, {});
+        const [firstText, secondText] = await Promise.all([
+            first.then(r => r.text()),
+            second.then(r => r.text()),
+            // Let both requests reach the resolver before it answers
+            new Promise(r => setTimeout(r, 10)).then(() => finish())
+        ]);
+
+        expect(resolveArtistLocation).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(firstText.split('\n')[1]).location_name).toBe('Sydney, Australia');
+        expect(JSON.parse(secondText.split('\n')[1])).toMatchObject({ artist: 'flight facilities', location_name: 'Sydney, Australia' });
+    });
+
+    it('should start a fresh lookup once the previous one has failed', async () => {
+        resolveArtistLocation.mockRejectedValueOnce(new Error('MusicBrainz down'));
+
+        await (await workerModule.fetch(createRequest('POST', '/api/artists', { artists: ['Retry Me'] }), {}, {})).text();
+        const [result] = await readResults(
+            await workerModule.fetch(createRequest('POST', '/api/artists', { artists: ['Retry Me'] }), {}, {}));
+
+        expect(resolveArtistLocation).toHaveBeenCalledTimes(2);
+        expect(result.location_name).toBe('Test City, Test Country');
     });
 });
 
-describe('DELETE /api/cache', () => {
-    it('should delete specified artists from cache', async () => {
-        const mockKV = createMockKV();
-        await mockKV.put('artist:artist1', JSON.stringify({ location_name: 'City1' }));
-        await mockKV.put('artist:artist2', JSON.stringify({ location_name: 'City2' }));
+describe('Spotify id payloads', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
 
-        const request = createRequest('DELETE', '/api/cache', {
-            artists: ['Artist1', 'Artist2']
+    it('should pass the Spotify id through to the resolver', async () => {
+        resolveArtistLocation.mockResolvedValue({
+            location_name: 'Brisbane, Australia',
+            location_coord: [-27.47, 153.03]
         });
 
-        const response = await workerModule.fetch(request, { ARTIST_CACHE: mockKV }, {});
-        const body = await response.json();
+        const request = createRequest('POST', '/api/artists', {
+            artists: [{ name: 'Bugs', spotifyId: 'sp123' }]
+        });
+        const response = await workerModule.fetch(request, {}, {});
 
-        expect(response.status).toBe(200);
-        expect(body.deleted).toContain('Artist1');
-        expect(body.deleted).toContain('Artist2');
-        expect(mockKV.delete).toHaveBeenCalledWith('artist:artist1');
-        expect(mockKV.delete).toHaveBeenCalledWith('artist:artist2');
+        const result = (await readResults(response))[0];
+        expect(result.artist).toBe('Bugs');
+        expect(resolveArtistLocation).toHaveBeenCalledWith('Bugs', { spotifyId: 'sp123' });
     });
 
-    it('should return 400 for invalid request', async () => {
-        const request = createRequest('DELETE', '/api/cache', {});
+    it('should still accept plain artist names', async () => {
+        const request = createRequest('POST', '/api/artists', { artists: ['Bugs'] });
         const response = await workerModule.fetch(request, {}, {});
 
-        expect(response.status).toBe(400);
+        await response.text();
+        expect(resolveArtistLocation).toHaveBeenCalledWith('Bugs', { spotifyId: null });
     });
 
-    it('should handle empty cache namespace', async () => {
-        const request = createRequest('DELETE', '/api/cache', { artists: ['Test'] });
-        const response = await workerModule.fetch(request, {}, {}); // No ARTIST_CACHE
+    it('should pass RESOLVER_SOURCES through to the resolver', async () => {
+        const request = createRequest('POST', '/api/artists', { artists: ['Configured'] });
+        const response = await workerModule.fetch(request, { RESOLVER_SOURCES: 'musicbrainz,wikidata' }, {});
 
-        expect(response.status).toBe(200);
+        await response.text();
+        expect(resolveArtistLocation).toHaveBeenCalledWith('Configured', {
+            spotifyId: null,
+            sources: 'musicbrainz,wikidata'
+        });
+    });
+
+    it('should pass Spotify genres through to the resolver', async () => {
+        const request = createRequest('POST', '/api/artists', {
+            artists: [{ name: 'Kino', spotifyId: 'sp456', genres: ['russian rock', 'russian post-punk'] }]
+        });
+        const response = await workerModule.fetch(request, {}, {});
+
+        await response.text();
+        expect(resolveArtistLocation).toHaveBeenCalledWith('Kino', {
+            spotifyId: 'sp456',
+            genres: ['russian rock', 'russian post-punk']
+        });
+    });
+
+    it('should reject genres that are not a list of strings', async () => {
+        const request = createRequest('POST', '/api/artists', {
+            artists: [{ name: 'Kino', genres: 'russian rock' }]
+        });
+        const response = await workerModule.fetch(request, {}, {});
+
+        expect(response.status).toBe(400);
         const body = await response.json();
-        expect(body.deleted).toEqual([]);
+        expect(body.code).toBe('invalid_request');
+        expect(resolveArtistLocation).not.toHaveBeenCalled();
     });
 });
 
-describe('Error Handling', () => {
-    it('should return 500 on JSON parse error', async () => {
-        const request = new Request('http://localhost:8787/api/artists', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: 'invalid json{'
+describe('GET /api/artist', () => {
+    const client = { 'CF-Connecting-IP': '192.0.2.44' };
+
+    function lookup(query, env, headers = {}) {
+        return workerModule.fetch(createRequest('GET', `/api/artist?${query}`, null, { ...client, ...headers }), env, {});
+    }
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        resolveArtistLocation.mockResolvedValue({
+            location_name: 'Test City, Test Country',
+            location_coord: [0, 0]
         });
+    });
 
-        const response = await workerModule.fetch(request, {}, {});
-        expect(response.status).toBe(500);
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should return one artist as JSON with caching headers', async () => {
+        const env = { ARTIST_CACHE: createMockKV(), RATE_LIMIT: createMockKV() };
+
+        const response = await lookup('name=Bugs', env);
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('Content-Type')).toBe('application/json');
+        expect(response.headers.get('Cache-Control')).toBe('public, max-age=3600');
+        expect(response.headers.get('ETag')).toMatch(/^"[0-9a-f]{40}"$/);
+        const body = await response.json();
+        expect(body.artist).toBe('Bugs');
+        expect(body.location_name).toBe('Test City, Test Country');
+        expect(body.status).toBe('resolved');
+    });
+
+    it('should answer 304 when the ETag matches', async () => {
+        const env = { ARTIST_CACHE: createMockKV(), RATE_LIMIT: createMockKV() };
+
+        const first = await lookup('name=Bugs', env);
+        const etag = first.headers.get('ETag');
+
+        const second = await lookup('name=Bugs', env, { 'If-None-Match': etag });
+        expect(second.status).toBe(304);
+        expect(second.headers.get('ETag')).toBe(etag);
+        expect(await second.text()).toBe('');
+        expect(resolveArtistLocation).toHaveBeenCalledTimes(1);
+    });
+
+    it('should answer 304 for weak and listed ETags', async () => {
+        const env = { ARTIST_CACHE: createMockKV(), RATE_LIMIT: createMockKV() };
+        const etag = (await lookup('name=Bugs', env)).headers.get('ETag');
+
+        expect((await lookup('name=Bugs', env, { 'If-None-Match': `W/${etag}` })).status).toBe(304);
+        expect((await lookup('name=Bugs', env, { 'If-None-Match': `"stale", ${etag}` })).status).toBe(304);
+        expect((await lookup('name=Bugs', env, { 'If-None-Match': '*' })).status).toBe(304);
+        expect((await lookup('name=Bugs', env, { 'If-None-Match': '"stale"' })).status).toBe(200);
+    });
+
+    it('should cache Unknown results only briefly', async () => {
+        resolveArtistLocation.mockResolvedValue({ location_name: 'Unknown', location_coord: null });
+        const env = { ARTIST_CACHE: createMockKV(), RATE_LIMIT: createMockKV() };
+
+        const response = await lookup('name=Nobody', env);
+
+        expect(response.headers.get('Cache-Control')).toBe('public, max-age=300');
+    });
+
+    it('should return 400 without a name or Spotify id', async () => {
+        const response = await lookup('name=%20', {});
+
+        expect(response.status).toBe(400);
+        expect((await response.json()).error).toBe('Missing name or spotifyId');
+    });
+
+    it('should find an artist by Spotify id alone once it has been resolved', async () => {
+        const env = { ARTIST_CACHE: createMockKV(), RATE_LIMIT: createMockKV() };
+
+        await lookup('name=Bugs&spotifyId=sp123', env);
+        expect(resolveArtistLocation).toHaveBeenCalledWith('Bugs', { spotifyId: 'sp123' });
+
+        const response = await lookup('spotifyId=sp123', env);
+        expect(response.status).toBe(200);
+        expect((await response.json()).artist).toBe('Bugs');
+        expect(resolveArtistLocation).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for a Spotify id it has not seen', async () => {
+        const response = await lookup('spotifyId=unseen', { ARTIST_CACHE: createMockKV() });
+
+        expect(response.status).toBe(404);
+    });
+
+    it('should charge uncached lookups against the rate limit', async () => {
+        const env = { ARTIST_CACHE: createMockKV(), RATE_LIMIT: createMockKV(), RATE_LIMIT_CAPACITY: '1' };
+
+        expect((await lookup('name=One', env)).status).toBe(200);
+        // Cache hits stay free
+        expect((await lookup('name=One', env)).status).toBe(200);
+
+        const limited = await lookup('name=Two', env);
+        expect(limited.status).toBe(429);
+        expect(limited.headers.get('Retry-After')).toBeTruthy();
+    });
+
+    it('should serve repeat lookups from the edge cache', async () => {
+        const edge = new Map();
+        vi.stubGlobal('caches', {
+            default: {
+                match: vi.fn(async (request) => edge.get(request.url)?.clone()),
+                put: vi.fn(async (request, response) => { edge.set(request.url, response); })
+            }
+        });
+        const env = { RATE_LIMIT: createMockKV() };
+        const ctx = { waitUntil: vi.fn() };
+
+        await workerModule.fetch(createRequest('GET', '/api/artist?name=Bugs', null, client), env, ctx);
+        await Promise.all(ctx.waitUntil.mock.calls.map(([task]) => task));
+        const response = await workerModule.fetch(createRequest('GET', '/api/artist?name=BUGS', null, client), env, ctx);
+
+        expect(response.status).toBe(200);
+        expect((await response.json()).artist).toBe('Bugs');
+        expect(resolveArtistLocation).toHaveBeenCalledTimes(1);
+    });
+
+    it('should serve a new override over the edge cache', async () => {
+        const edge = new Map();
+        vi.stubGlobal('caches', {
+            default: {
+                match: vi.fn(async (request) => edge.get(request.url)?.clone()),
+                put: vi.fn(async (request, response) => { edge.set(request.url, response); })
+            }
+        });
+        const env = { ARTIST_OVERRIDES: createMockKV(), RATE_LIMIT: createMockKV() };
+        const ctx = { waitUntil: vi.fn() };
+
+        await workerModule.fetch(createRequest('GET', '/api/artist?name=Bugs', null, client), env, ctx);
+        await Promise.all(ctx.waitUntil.mock.calls.map(([task]) => task));
+        await env.ARTIST_OVERRIDES.put('override:bugs', JSON.stringify({
+            location_name: 'Perth, Australia',
+            location_coord: [-31.95, 115.86],
+            source: 'override'
+        }));
+
+        const response = await workerModule.fetch(createRequest('GET', '/api/artist?name=Bugs', null, client), env, ctx);
+        expect(response.headers.get('Cache-Control')).toBe('no-cache');
+        expect((await response.json()).location_name).toBe('Perth, Australia');
+        expect(edge.size).toBe(1);
+    });
+
+    it('should keep lookups with a Spotify id apart in the edge cache', async () => {
+        const edge = new Map();
+        vi.stubGlobal('caches', {
+            default: {
+                match: vi.fn(async (request) => edge.get(request.url)?.clone()),
+                put: vi.fn(async (request, response) => { edge.set(request.url, response); })
+            }
+        });
+        const env = { RATE_LIMIT: createMockKV() };
+        const ctx = { waitUntil: vi.fn() };
+
+        await workerModule.fetch(createRequest('GET', '/api/artist?name=Bugs', null, client), env, ctx);
+        await Promise.all(ctx.waitUntil.mock.calls.map(([task]) => task));
+        await workerModule.fetch(createRequest('GET', '/api/artist?name=Bugs&spotifyId=sp123', null, client), env, ctx);
+        await Promise.all(ctx.waitUntil.mock.calls.map(([task]) => task));
+
+        expect(resolveArtistLocation).toHaveBeenCalledTimes(2);
+        expect(resolveArtistLocation).toHaveBeenLastCalledWith('Bugs', { spotifyId: 'sp123' });
+        expect(edge.size).toBe(2);
+    });
+});
+
+describe('POST /api/explain', () => {
+    const client = { 'CF-Connecting-IP': '192.0.2.45' };
+    const trace = [
+        { step: 'source', source: 'musicbrainz' },
+        { step: 'candidate', name: 'Bugs', score: 100, accepted: true, reason: 'name matches' },
+        { step: 'result', source: 'musicbrainz', location_name: 'Brisbane, Australia', confidence: 0.9 }
+    ];
+
+    function explain(body, env) {
+        return workerModule.fetch(createRequest('POST', '/api/explain', body, client), env, {});
+    }
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        resolveArtistLocation.mockResolvedValue({
+            location_name: 'Brisbane, Australia',
+            location_coord: [-27.47, 153.03],
+            source: 'musicbrainz',
+            trace
+        });
+    });
+
+    it('should resolve with a trace, bypassing the cache', async () => {
+        const cache = createMockKV();
+        await cache.put('artist:bugs', JSON.stringify({
+            version: 2,
+            data: { location_name: 'Sydney, Australia', location_coord: [-33.87, 151.21], status: 'resolved' }
+        }));
+        const env = { ARTIST_CACHE: cache, RATE_LIMIT: createMockKV() };
+
+        const response = await explain({ name: ' Bugs ', spotifyId: 'sp123' }, env);
+
+        expect(response.status).toBe(200);
+        const body = await response.json();
+        expect(body.artist).toBe('Bugs');
+        expect(body.result.location_name).toBe('Brisbane, Australia');
+        expect(body.result.trace).toBeUndefined();
+        expect(body.trace).toEqual(trace);
+        expect(body.cached.location_name).toBe('Sydney, Australia');
+        expect(body.override).toBeNull();
+        expect(resolveArtistLocation).toHaveBeenCalledWith('Bugs', { spotifyId: 'sp123', explain: true });
+        // The explained result isn't cached
+        expect(JSON.parse(cache._store.get('artist:bugs')).data.location_name).toBe('Sydney, Australia');
+    });
+
+    it('should report a shared override', async () => {
+        const overrides = createMockKV();
+        await overrides.put('override:bugs', JSON.stringify({ location_name: 'Hobart, Australia', location_coord: [-42.88, 147.33] }));
+
+        const response = await explain({ name: 'Bugs' }, { ARTIST_OVERRIDES: overrides, RATE_LIMIT: createMockKV() });
+
+        const body = await response.json();
+        expect(body.override.location_name).toBe('Hobart, Australia');
+        expect(body.cached).toBeNull();
+    });
+
+    it('should validate the body', async () => {
+        const response = await explain({ spotifyId: 'sp123' }, { RATE_LIMIT: createMockKV() });
+
+        expect(response.status).toBe(400);
+        expect((await response.json()).code).toBe('invalid_request');
+        expect(resolveArtistLocation).not.toHaveBeenCalled();
+    });
+
+    it('should cost a rate limit token', async () => {
+        const env = { RATE_LIMIT: createMockKV(), RATE_LIMIT_CAPACITY: '1' };
+
+        expect((await explain({ name: 'Bugs' }, env)).status).toBe(200);
+        expect((await explain({ name: 'Bugs' }, env)).status).toBe(429);
+    });
+});
+
+describe('KV Caching', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should use cached results when available', async () => {
+        const mockKV = createMockKV();
+        await mockKV.put('artist:test artist', JSON.stringify({
+            location_name: 'Cached City',
+            location_coord: [1, 2]
+        }));
+
+        const request = createRequest('POST', '/api/artists', { artists: ['Test Artist'] });
+        const response = await workerModule.fetch(request, { ARTIST_CACHE: mockKV }, {});
+
+        const [result] = await readResults(response);
+
+        expect(result.location_name).toBe('Cached City');
+        expect(result.location_coord).toEqual([1, 2]);
+        // Should not call resolve function for cached results
+        expect(resolveArtistLocation).not.toHaveBeenCalled();
+    });
+
+    it('should cache new results', async () => {
+        resolveArtistLocation.mockResolvedValue({
+            location_name: 'New City',
+            location_coord: [3, 4]
+        });
+
+        const mockKV = createMockKV();
+
+        const request = createRequest('POST', '/api/artists', { artists: ['New Artist'] });
+        const response = await workerModule.fetch(request, { ARTIST_CACHE: mockKV }, {});
+
+        // Must consume the stream to trigger caching
+        await response.text();
+
+        expect(mockKV.put).toHaveBeenCalled();
+        const putCall = mockKV.put.mock.calls.find(call => call[0] === 'artist:new artist');
+        expect(putCall).toBeDefined();
+
+        const cached = JSON.parse(putCall[1]);
+        expect(cached.version).toBe(2);
+        expect(cached.data.location_name).toBe('New City');
+    });
+
+    it('should persist provenance with cached results', async () => {
+        resolveArtistLocation.mockResolvedValue({
+            location_name: 'New City',
+            location_coord: [3, 4],
+            source: 'wikidata',
+            mbid: 'mb123',
+            matched_name: 'New Artist',
+            area_type: 'city',
+            confidence: 0.6
+        });
+
+        const mockKV = createMockKV();
+
+        const request = createRequest('POST', '/api/artists', { artists: ['New Artist'] });
+        const response = await workerModule.fetch(request, { ARTIST_CACHE: mockKV }, {});
+        const streamed = (await readResults(response))[0];
+
+        const cachedData = JSON.parse(mockKV._store.get('artist:new artist')).data;
+        expect(cachedData.source).toBe('wikidata');
+        expect(cachedData.confidence).toBe(0.6);
+        expect(streamed.source).toBe('wikidata');
+        expect(streamed.mbid).toBe('mb123');
+    });
+
+    it('should retry geocoding for cached results with name but no coordinates', async () => {
+        const mockKV = createMockKV();
+        await mockKV.put('artist:test artist', JSON.stringify({
+            location_name: 'Sydney',
+            location_coord: null
+        }));
+
+        geocodeLocation.mockResolvedValue({
+            coords: [-33.8688, 151.2093],
+            displayName: 'Sydney, Australia'
+        });
+
+        const request = createRequest('POST', '/api/artists', { artists: ['Test Artist'] });
+        const response = await workerModule.fetch(request, { ARTIST_CACHE: mockKV }, {});
+
+        const [result] = await readResults(response);
+
+        expect(geocodeLocation).toHaveBeenCalledWith('Sydney');
+        expect(result.location_coord).toEqual([-33.8688, 151.2093]);
+    });
+
+    it('should work without KV (fallback mode)', async () => {
+        resolveArtistLocation.mockResolvedValue({
+            location_name: 'Test City',
+            location_coord: [0, 0]
+        });
+
+        const request = createRequest('POST', '/api/artists', { artists: ['Test Artist'] });
+        const response = await workerModule.fetch(request, {}, {}); // No ARTIST_CACHE
+
+        expect(response.status).toBe(200);
+        const [result] = await readResults(response);
+        expect(result.location_name).toBe('Test City');
+    });
+});
+
+describe('Negative result caching', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    afterEach(() => {
+        resolveArtistLocation.mockResolvedValue({
+            location_name: 'Test City, Test Country',
+            location_coord: [0, 0]
+        });
+    });
+
+    async function resolveThroughWorker(name, env) {
+        const request = createRequest('POST', '/api/artists', { artists: [name] });
+        return (await readResults(await workerModule.fetch(request, env, {})))[0];
+    }
+
+    it('should stamp resolved results and cache them for 30 days', async () => {
+        const mockKV = createMockKV();
+        const result = await resolveThroughWorker('Found', { ARTIST_CACHE: mockKV });
+
+        expect(result.status).toBe('resolved');
+        expect(Date.parse(result.resolved_at)).not.toBeNaN();
+
+        const [, , options] = mockKV.put.mock.calls.find(call => call[0] === 'artist:found');
+        expect(options.expirationTtl).toBe(30 * 24 * 60 * 60);
+        expect(options.metadata).toMatchObject({ status: 'resolved', name: 'Found' });
+    });
+
+    it('should cache Unknown results for a shorter time', async () => {
+        resolveArtistLocation.mockResolvedValue({ location_name: 'Unknown', location_coord: null });
+        const mockKV = createMockKV();
+
+        const result = await resolveThroughWorker('Nobody', { ARTIST_CACHE: mockKV });
+        expect(result.status).toBe('unknown');
+
+        const [, value, options] = mockKV.put.mock.calls.find(call => call[0] === 'artist:nobody');
+        expect(JSON.parse(value).data.status).toBe('unknown');
+        expect(options.expirationTtl).toBe(7 * 24 * 60 * 60);
+    });
+
+    it('should mark results without coordinates as partial', async () => {
+        resolveArtistLocation.mockResolvedValue({ location_name: 'Atlantis', location_coord: null });
+        const mockKV = createMockKV();
+
+        const result = await resolveThroughWorker('Somebody', { ARTIST_CACHE: mockKV });
+        expect(result.status).toBe('partial');
+        expect(mockKV.put.mock.calls[0][2].expirationTtl).toBe(7 * 24 * 60 * 60);
+    });
+});
+
+describe('Scheduled re-resolution', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    afterEach(() => {
+        resolveArtistLocation.mockResolvedValue({
+            location_name: 'Test City, Test Country',
+            location_coord: [0, 0]
+        });
+    });
+
+    const dayAgo = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    const justNow = new Date().toISOString();
+
+    async function seed(kv, name, status, resolvedAt, spotifyId = null) {
+        await kv.put(`artist:${name.toLowerCase()}`, JSON.stringify({ location_name: 'Unknown', status }), {
+            metadata: { status, resolved_at: resolvedAt, name, spotify_id: spotifyId }
+        });
+    }
+
+    async function runCron(env) {
+        const tasks = [];
+        await workerModule.scheduled({ cron: '0 */6 * * *' }, env, { waitUntil: p => tasks.push(p) });
+        await Promise.all(tasks);
+    }
+
+    it('should re-resolve stale Unknown results', async () => {
+        resolveArtistLocation.mockResolvedValue({ location_name: 'Perth, Australia', location_coord: [-31.95, 115.86] });
+        const cache = createMockKV();
+        await seed(cache, 'Stale', 'unknown', dayAgo, 'sp9');
+
+        await runCron({ ARTIST_CACHE: cache });
+
+        expect(resolveArtistLocation).toHaveBeenCalledWith('Stale', { spotifyId: 'sp9' });
+        const updated = JSON.parse(cache._store.get('artist:stale')).data;
+        expect(updated.status).toBe('resolved');
+        expect(updated.location_name).toBe('Perth, Australia');
+    });
+
+    it('should leave fresh negatives and resolved results alone', async () => {
+        const cache = createMockKV();
+        await seed(cache, 'Fresh', 'unknown', justNow);
+        await seed(cache, 'Done', 'resolved', dayAgo);
+        // Cached before metadata was stored
+        await cache.put('artist:legacy', JSON.stringify({ location_name: 'Unknown' }));
+
+        await runCron({ ARTIST_CACHE: cache });
+
+        expect(resolveArtistLocation).not.toHaveBeenCalled();
+    });
+
+    it('should skip artists with a shared override', async () => {
+        const cache = createMockKV();
+        const overrides = createMockKV();
+        await seed(cache, 'Pinned', 'partial', dayAgo);
+        await overrides.put('override:pinned', JSON.stringify({ location_name: 'Hobart, Australia', location_coord: [-42.88, 147.33] }));
+
+        await runCron({ ARTIST_CACHE: cache, ARTIST_OVERRIDES: overrides });
+
+        expect(resolveArtistLocation).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing without a cache binding', async () => {
+        await runCron({});
+        expect(resolveArtistLocation).not.toHaveBeenCalled();
+    });
+});
+
+describe('Cache schema versions', () => {
+    const ADMIN_TOKEN = 'test-admin-token';
+    const auth = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    async function fetchArtist(name, env) {
+        const request = createRequest('POST', '/api/artists', { artists: [name] });
+        return (await readResults(await workerModule.fetch(request, env, {})))[0];
+    }
+
+    it('should read current entries from the envelope', async () => {
+        const cache = createMockKV();
+        await cache.put('artist:bugs', JSON.stringify({
+            version: 2,
+            data: { location_name: 'Brisbane, Australia', location_coord: [-27.47, 153.03], status: 'resolved', resolved_at: null }
+        }));
+
+        const result = await fetchArtist('Bugs', { ARTIST_CACHE: cache });
+
+        expect(result.location_name).toBe('Brisbane, Australia');
+        expect(resolveArtistLocation).not.toHaveBeenCalled();
+        expect(cache.put).toHaveBeenCalledTimes(1); // just the seed
+    });
+
+    it('should upgrade unversioned entries on read', async () => {
+        const cache = createMockKV();
+        await cache.put('artist:bugs', JSON.stringify({
+            location_name: 'Brisbane, Australia',
+            location_coord: [-27.47, 153.03]
+        }));
+
+        const result = await fetchArtist('Bugs', { ARTIST_CACHE: cache });
+
+        expect(result.status).toBe('resolved');
+        expect(resolveArtistLocation).not.toHaveBeenCalled();
+        const upgraded = JSON.parse(cache._store.get('artist:bugs'));
+        expect(upgraded.version).toBe(2);
+        expect(upgraded.data).toMatchObject({ location_name: 'Brisbane, Australia', status: 'resolved' });
+    });
+
+    it('should invalidate unversioned Unknown entries', async () => {
+        const cache = createMockKV();
+        await cache.put('artist:nobody', JSON.stringify({ location_name: 'Unknown', location_coord: null }));
+
+        await fetchArtist('Nobody', { ARTIST_CACHE: cache });
+
+        expect(resolveArtistLocation).toHaveBeenCalledWith('Nobody', { spotifyId: null });
+    });
+
+    it('should treat entries from a newer schema as a miss', async () => {
+        const cache = createMockKV();
+        await cache.put('artist:future', JSON.stringify({ version: 99, data: { coordinates: [1, 2] } }));
+
+        await fetchArtist('Future', { ARTIST_CACHE: cache });
+
+        expect(resolveArtistLocation).toHaveBeenCalled();
+    });
+
+    it('should report entry counts per version', async () => {
+        const cache = createMockKV();
+        await cache.put('artist:old', JSON.stringify({ location_name: 'Perth', location_coord: [1, 1] }));
+        await cache.put('artist:new', JSON.stringify({ version: 2, data: { location_name: 'Hobart' } }), {
+            metadata: { version: 2 }
+        });
+        await cache.put('artist:also new', JSON.stringify({ version: 2, data: { location_name: 'Darwin' } }));
+        await cache.put('lookup:geocode:perth', JSON.stringify({ coords: [1, 1] }));
+
+        const response = await workerModule.fetch(
+            createRequest('GET', '/api/cache/stats', null, auth), { ADMIN_TOKEN, ARTIST_CACHE: cache }, {});
+
+        expect(response.status).toBe(200);
+        expect(await response.json()).toEqual({ current: 2, total: 3, versions: { 1: 1, 2: 2 } });
+    });
+
+    it('should require the admin token for stats', async () => {
+        const response = await workerModule.fetch(
+            createRequest('GET', '/api/cache/stats'), { ADMIN_TOKEN, ARTIST_CACHE: createMockKV() }, {});
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('Shared overrides', () => {
+    const ADMIN_TOKEN = 'test-admin-token';
+    const auth = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should reject override writes without a token', async () => {
+        const overrides = createMockKV();
+        const request = createRequest('PUT', '/api/overrides/Bugs', {
+            location_name: 'Brisbane, Australia',
+            location_coord: [-27.47, 153.03]
+        });
+
+        const response = await workerModule.fetch(request, { ADMIN_TOKEN, ARTIST_OVERRIDES: overrides }, {});
+        expect(response.status).toBe(401);
+        expect(overrides.put).not.toHaveBeenCalled();
+    });
+
+    it('should reject override writes with the wrong token', async () => {
+        const overrides = createMockKV();
+        const request = createRequest('PUT', '/api/overrides/Bugs', {
+            location_name: 'Brisbane, Australia',
+            location_coord: [-27.47, 153.03]
+        }, { Authorization: 'Bearer nope' });
+
+        const response = await workerModule.fetch(request, { ADMIN_TOKEN, ARTIST_OVERRIDES: overrides }, {});
+        expect(response.status).toBe(403);
+    });
+
+    it('should reject all writes when no admin token is configured', async () => {
+        const request = createRequest('PUT', '/api/overrides/Bugs', {
+            location_name: 'Brisbane, Australia'
+        }, { Authorization: 'Bearer some-token' });
+
+        const response = await workerModule.fetch(request, { ARTIST_OVERRIDES: createMockKV() }, {});
+        expect(response.status).toBe(403);
+    });
+
+    it('should store an override with the admin token', async () => {
+        const overrides = createMockKV();
+        const request = createRequest('PUT', '/api/overrides/Bugs', {
+            location_name: 'Brisbane, Australia',
+            location_coord: [-27.47, 153.03]
+        }, auth);
+
+        const response = await workerModule.fetch(request, { ADMIN_TOKEN, ARTIST_OVERRIDES: overrides }, {});
+        expect(response.status).toBe(200);
+
+        const stored = JSON.parse(overrides._store.get('override:bugs'));
+        expect(stored.location_name).toBe('Brisbane, Australia');
+        expect(stored.location_coord).toEqual([-27.47, 153.03]);
+        expect(stored.source).toBe('override');
+    });
+
+    it('should geocode the location name when no coordinates are given', async () => {
+        geocodeLocation.mockResolvedValue({
+            coords: [-32.05, 115.75],
+            displayName: 'Fremantle, Australia'
+        });
+        const overrides = createMockKV();
+        const request = createRequest('PUT', '/api/overrides/San%20Cisco', {
+            location_name: 'Fremantle, Australia'
+        }, auth);
+
+        const response = await workerModule.fetch(request, { ADMIN_TOKEN, ARTIST_OVERRIDES: overrides }, {});
+        expect(response.status).toBe(200);
+        expect(geocodeLocation).toHaveBeenCalledWith('Fremantle, Australia');
+        expect(JSON.parse(overrides._store.get('override:san cisco')).location_coord).toEqual([-32.05, 115.75]);
+    });
+
+    it('should return 400 for invalid overrides', async () => {
+        const env = { ADMIN_TOKEN, ARTIST_OVERRIDES: createMockKV() };
+
+        const noName = createRequest('PUT', '/api/overrides/Bugs', { location_coord: [1, 2] }, auth);
+        expect((await workerModule.fetch(noName, env, {})).status).toBe(400);
+
+        const badCoord = createRequest('PUT', '/api/overrides/Bugs', {
+            location_name: 'Nowhere',
+            location_coord: [200, 0]
+        }, auth);
+        expect((await workerModule.fetch(badCoord, env, {})).status).toBe(400);
+    });
+
+    it('should list overrides', async () => {
+        const overrides = createMockKV();
+        await overrides.put('override:bugs', JSON.stringify({
+            location_name: 'Brisbane, Australia',
+            location_coord: [-27.47, 153.03]
+        }));
+
+        const request = createRequest('GET', '/api/overrides');
+        const response = await workerModule.fetch(request, { ARTIST_OVERRIDES: overrides }, {});
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.overrides.bugs.location_name).toBe('Brisbane, Australia');
+    });
+
+    it('should prefer overrides over cache and resolver', async () => {
+        const cache = createMockKV();
+        const overrides = createMockKV();
+        await cache.put('artist:bugs', JSON.stringify({
+            location_name: 'Wrong City',
+            location_coord: [1, 2]
+        }));
+        await overrides.put('override:bugs', JSON.stringify({
+            location_name: 'Brisbane, Australia',
+            location_coord: [-27.47, 153.03],
+            source: 'override'
+        }));
+
+        const request = createRequest('POST', '/api/artists', { artists: ['Bugs'] });
+        const response = await workerModule.fetch(request, {
+            ARTIST_CACHE: cache,
+            ARTIST_OVERRIDES: overrides
+        }, {});
+        const result = (await readResults(response))[0];
+
+        expect(result.location_name).toBe('Brisbane, Australia');
+        expect(result.source).toBe('override');
+        expect(resolveArtistLocation).not.toHaveBeenCalled();
+    });
+
+    it('should apply overrides without a cache namespace', async () => {
+        const overrides = createMockKV();
+        await overrides.put('override:bugs', JSON.stringify({
+            location_name: 'Brisbane, Australia',
+            location_coord: [-27.47, 153.03]
+        }));
+
+        const request = createRequest('POST', '/api/artists', { artists: ['Bugs'] });
+        const response = await workerModule.fetch(request, { ARTIST_OVERRIDES: overrides }, {});
+        const result = (await readResults(response))[0];
+
+        expect(result.location_name).toBe('Brisbane, Australia');
+        expect(resolveArtistLocation).not.toHaveBeenCalled();
+    });
+
+    it('should read each override once per request', async () => {
+        const overrides = createMockKV();
+        const request = createRequest('POST', '/api/artists', { artists: ['One', 'Two'] });
+        await readResults(await workerModule.fetch(request, {
+            ARTIST_CACHE: createMockKV(),
+            ARTIST_OVERRIDES: overrides
+        }, {}));
+
+        expect(resolveArtistLocation).toHaveBeenCalledTimes(2);
+        expect(overrides.get.mock.calls.map(([key]) => key).sort())
+            .toEqual(['override:one', 'override:two']);
+    });
+});
+
+describe('Rate limiting', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    const client = { 'CF-Connecting-IP': '203.0.113.7' };
+
+    it('should return 429 with Retry-After once the bucket is empty', async () => {
+        const env = { RATE_LIMIT: createMockKV(), RATE_LIMIT_CAPACITY: '1', RATE_LIMIT_REFILL_PER_MINUTE: '6' };
+
+        const first = await workerModule.fetch(
+            createRequest('POST', '/api/artists', { artists: ['One'] }, client), env, {});
+        expect(first.status).toBe(200);
+        await first.text();
+
+        const second = await workerModule.fetch(
+            createRequest('POST', '/api/artists', { artists: ['Two'] }, client), env, {});
+        expect(second.status).toBe(429);
+        expect(second.headers.get('Retry-After')).toBe('10');
+        expect(second.headers.get('Access-Control-Expose-Headers')).toContain('Retry-After');
+        const body = await second.json();
+        expect(body.error).toBe('Rate limit exceeded');
+        expect(body.retry_after).toBe(10);
+    });
+
+    it('should keep buckets separate per client IP', async () => {
+        const env = { RATE_LIMIT: createMockKV(), RATE_LIMIT_CAPACITY: '1' };
+
+        const first = await workerModule.fetch(
+            createRequest('POST', '/api/artists', { artists: ['One'] }, client), env, {});
+        await first.text();
+
+        const other = await workerModule.fetch(
+            createRequest('POST', '/api/artists', { artists: ['Two'] }, { 'CF-Connecting-IP': '198.51.100.2' }), env, {});
+        expect(other.status).toBe(200);
+        await other.text();
+    });
+
+    it('should not charge cache hits against the bucket', async () => {
+        const cache = createMockKV();
+        await cache.put('artist:cached', JSON.stringify({ location_name: 'Perth, Australia', location_coord: [-31.95, 115.86] }));
+        const env = { ARTIST_CACHE: cache, RATE_LIMIT: createMockKV(), RATE_LIMIT_CAPACITY: '1' };
+
+        for (let i = 0; i < 3; i++) {
+            const response = await workerModule.fetch(
+                createRequest('POST', '/api/artists', { artists: ['Cached'] }, client), env, {});
+            expect(response.status).toBe(200);
+            await response.text();
+        }
+        expect(env.RATE_LIMIT.put).not.toHaveBeenCalled();
+    });
+
+    it('should defer artists over the per-request budget', async () => {
+        const env = { RATE_LIMIT: createMockKV(), UNCACHED_LOOKUP_BUDGET: '2' };
+
+        const response = await workerModule.fetch(
+            createRequest('POST', '/api/artists', { artists: ['A', 'B', 'C', 'D'] }, client), env, {});
+        expect(response.status).toBe(200);
+
+        const lines = await readEvents(response);
+        const deferred = lines.filter(line => line.type === 'deferred');
+        expect(deferred.map(line => line.artist)).toEqual(['C', 'D']);
+        expect(deferred[0].retry_after).toBe(0);
+        expect(lines.filter(line => line.type === 'result').map(line => line.artist)).toEqual(['A', 'B']);
+    });
+
+    it('should defer artists the bucket can no longer cover', async () => {
+        const env = { RATE_LIMIT: createMockKV(), RATE_LIMIT_CAPACITY: '1', RATE_LIMIT_REFILL_PER_MINUTE: '60' };
+
+        const response = await workerModule.fetch(
+            createRequest('POST', '/api/artists', { artists: ['A', 'B'] }, client), env, {});
+        const lines = await readEvents(response);
+
+        expect(lines).toContainEqual({ type: 'deferred', artist: 'B', deferred: true, retry_after: 1 });
+        expect(lines.find(line => line.artist === 'A').deferred).toBeUndefined();
+    });
+
+    it('should still return cache hits once the bucket is empty', async () => {
+        const cache = createMockKV();
+        await cache.put('artist:cached', JSON.stringify({ location_name: 'Perth, Australia', location_coord: [-31.95, 115.86] }));
+        const env = {
+            ARTIST_CACHE: cache,
+            RATE_LIMIT: createMockKV(),
+            RATE_LIMIT_CAPACITY: '1',
+            RATE_LIMIT_REFILL_PER_MINUTE: '6'
+        };
+
+        const first = await workerModule.fetch(
+            createRequest('POST', '/api/artists', { artists: ['One'] }, client), env, {});
+        await first.text();
+
+        const response = await workerModule.fetch(
+            createRequest('POST', '/api/artists', { artists: ['Cached', 'Two'] }, client), env, {});
+        expect(response.status).toBe(200);
+        const lines = await readEvents(response);
+        expect(lines.find(line => line.artist === 'Cached').location_name).toBe('Perth, Australia');
+        expect(lines).toContainEqual({ type: 'deferred', artist: 'Two', deferred: true, retry_after: 10 });
+        expect(resolveArtistLocation).not.toHaveBeenCalledWith('Two', expect.anything());
+    });
+});
+
+describe('TokenBucketLimiter', () => {
+    function createLimiter(options = {}) {
+        let now = 0;
+        const clock = () => now;
+        const limiter = new TokenBucketLimiter(new MemoryBucketStore(clock), {
+            capacity: 5,
+            refillPerSecond: 1,
+            now: clock,
+            ...options
+        });
+        return { limiter, advance: ms => { now += ms; } };
+    }
+
+    it('should grant up to the bucket capacity', async () => {
+        const { limiter } = createLimiter();
+
+        expect(await limiter.take('ip', 3)).toEqual({ granted: 3, remaining: 2, retryAfter: 0 });
+        expect(await limiter.take('ip', 3)).toEqual({ granted: 2, remaining: 0, retryAfter: 1 });
+        expect((await limiter.take('ip', 1)).granted).toBe(0);
+    });
+
+    it('should refill over time without exceeding capacity', async () => {
+        const { limiter, advance } = createLimiter();
+        await limiter.take('ip', 5);
+
+        advance(2000);
+        expect((await limiter.take('ip', 5)).granted).toBe(2);
+
+        advance(60000);
+        expect((await limiter.take('ip', 10)).granted).toBe(5);
+    });
+
+    it('should report how long until the next token', async () => {
+        const { limiter } = createLimiter({ capacity: 1, refillPerSecond: 0.1 });
+        await limiter.take('ip', 1);
+
+        const result = await limiter.take('ip', 1);
+        expect(result.granted).toBe(0);
+        expect(result.retryAfter).toBe(10);
+    });
+
+    it('should forget idle buckets once they would be full again', async () => {
+        const { limiter, advance } = createLimiter();
+        await limiter.take('ip', 5);
+
+        advance(5000);
+        expect(await limiter.store.get('ip')).toBeNull();
+    });
+});
+
+describe('Lookup storage', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should give the resolver KV-backed lookup storage when the cache is bound', async () => {
+        const cache = createMockKV();
+        await workerModule.fetch(createRequest('GET', '/health'), { ARTIST_CACHE: cache }, {});
+
+        const storage = setLookupStorage.mock.calls[0][0];
+        expect(storage).toBeInstanceOf(KVLookupStorage);
+
+        await storage.set('area:abc', { country: 'United Kingdom', subdivision: 'England' }, 60);
+        expect(cache.put).toHaveBeenCalledWith('lookup:area:abc', expect.any(String), { expirationTtl: 60 });
+        expect(await storage.get('area:abc')).toEqual({ country: 'United Kingdom', subdivision: 'England' });
+    });
+
+    it('should disable persistent lookup storage without a cache binding', async () => {
+        await workerModule.fetch(createRequest('GET', '/health'), {}, {});
+        expect(setLookupStorage).toHaveBeenCalledWith(null);
+    });
+});
+
+describe('DELETE /api/cache', () => {
+    const ADMIN_TOKEN = 'test-admin-token';
+    const auth = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+    it('should return 401 without an admin token', async () => {
+        const mockKV = createMockKV();
+        await mockKV.put('artist:artist1', JSON.stringify({ location_name: 'City1' }));
+
+        const request = createRequest('DELETE', '/api/cache', { artists: ['Artist1'] });
+        const response = await workerModule.fetch(request, { ADMIN_TOKEN, ARTIST_CACHE: mockKV }, {});
+
+        expect(response.status).toBe(401);
+        expect((await response.json()).error).toBe('Missing admin token');
+        expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+        expect(mockKV.delete).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 with the wrong admin token', async () => {
+        const mockKV = createMockKV();
+        const request = createRequest('DELETE', '/api/cache', { artists: ['Artist1'] }, {
+            Authorization: 'Bearer wrong'
+        });
+        const response = await workerModule.fetch(request, { ADMIN_TOKEN, ARTIST_CACHE: mockKV }, {});
+
+        expect(response.status).toBe(403);
+        expect((await response.json()).error).toBe('Invalid admin token');
+        expect(mockKV.delete).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when no admin token is configured', async () => {
+        const request = createRequest('DELETE', '/api/cache', { artists: ['Artist1'] }, auth);
+        const response = await workerModule.fetch(request, { ARTIST_CACHE: createMockKV() }, {});
+
+        expect(response.status).toBe(403);
+    });
+
+    it('should delete specified artists from cache', async () => {
+        const mockKV = createMockKV();
+        await mockKV.put('artist:artist1', JSON.stringify({ location_name: 'City1' }));
+        await mockKV.put('artist:artist2', JSON.stringify({ location_name: 'City2' }));
+
+        const request = createRequest('DELETE', '/api/cache', {
+            artists: ['Artist1', 'Artist2']
+        }, auth);
+
+        const response = await workerModule.fetch(request, { ADMIN_TOKEN, ARTIST_CACHE: mockKV }, {});
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.deleted).toContain('Artist1');
+        expect(body.deleted).toContain('Artist2');
+        expect(mockKV.delete).toHaveBeenCalledWith('artist:artist1');
+        expect(mockKV.delete).toHaveBeenCalledWith('artist:artist2');
+    });
+
+    it('should delete resolver lookups when asked', async () => {
+        const mockKV = createMockKV();
+        await mockKV.put('artist:artist1', JSON.stringify({ location_name: 'City1' }));
+        await mockKV.put('lookup:area:abc', JSON.stringify({ name: 'Perth' }));
+        await mockKV.put('lookup:geocode:perth', JSON.stringify([-31.95, 115.86]));
+
+        const request = createRequest('DELETE', '/api/cache', { lookups: true }, auth);
+        const response = await workerModule.fetch(request, { ADMIN_TOKEN, ARTIST_CACHE: mockKV }, {});
+
+        expect(response.status).toBe(200);
+        expect(await response.json()).toEqual({ deleted: [], lookups_deleted: 2 });
+        expect([...mockKV._store.keys()]).toEqual(['artist:artist1']);
+    });
+
+    it('should return 400 for invalid request', async () => {
+        const request = createRequest('DELETE', '/api/cache', {}, auth);
+        const response = await workerModule.fetch(request, { ADMIN_TOKEN }, {});
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should handle empty cache namespace', async () => {
+        const request = createRequest('DELETE', '/api/cache', { artists: ['Test'] }, auth);
+        const response = await workerModule.fetch(request, { ADMIN_TOKEN }, {}); // No ARTIST_CACHE
+
+        expect(response.status).toBe(200);
+        const body = await response.json();
+        expect(body.deleted).toEqual([]);
+    });
+});
+
+describe('Error Handling', () => {
+    it('should return 400 on JSON parse error', async () => {
+        const request = new Request('http://localhost:8787/api/artists', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: 'invalid json{'
+        });
+
+        const response = await workerModule.fetch(request, {}, {});
+        expect(response.status).toBe(400);
+        expect((await response.json()).code).toBe('invalid_json');
     });
 
     it('should include error message in response', async () => {
@@ -317,8 +1786,7 @@ describe('Cache Key Normalization', () => {
         const request = createRequest('POST', '/api/artists', { artists: ['Taylor Swift'] });
         const response = await workerModule.fetch(request, { ARTIST_CACHE: mockKV }, {});
 
-        const text = await response.text();
-        const result = JSON.parse(text.trim());
+        const [result] = await readResults(response);
 
         // Should find the cached result (cache check happens before stream starts)
         expect(result.location_name).toBe('Reading, United States');
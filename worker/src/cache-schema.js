@@ -0,0 +1,74 @@
+/**
+ * Versioned envelope for artist cache entries
+ *
+ * Entries are stored as { version, data } so a change to the resolver's
+ * output shape can't silently mix with old entries. Entries from older
+ * versions are upgraded on read by MIGRATIONS, or invalidated (treated as a
+ * cache miss) when a migration can't upgrade them.
+ *
+ * Version history:
+ *   1 - Bare result object, no envelope (provenance and status optional)
+ *   2 - Envelope; data always has status and resolved_at
+ */
+
+export const CACHE_SCHEMA_VERSION = 2;
+
+/**
+ * Classify a result: 'resolved' (has coordinates), 'partial' (a place
+ * name we couldn't geocode) or 'unknown'
+ */
+export function resultStatus(result) {
+    if (result.location_coord) return 'resolved';
+    if (result.location_name && result.location_name !== 'Unknown') return 'partial';
+    return 'unknown';
+}
+
+// Upgrade functions keyed by the version they upgrade from. Returning null
+// invalidates the entry.
+const MIGRATIONS = {
+    1: (entry) => {
+        const status = entry.status || resultStatus(entry);
+        // Old Unknowns were cached for the full TTL; look them up again
+        if (status === 'unknown') return null;
+        return { ...entry, status, resolved_at: entry.resolved_at || null };
+    }
+};
+
+/**
+ * Get the schema version of a raw cache value
+ */
+export function entryVersion(raw) {
+    return Number.isInteger(raw?.version) && raw.data ? raw.version : 1;
+}
+
+/**
+ * Wrap result data in the current envelope
+ */
+export function wrapCacheEntry(data) {
+    return { version: CACHE_SCHEMA_VERSION, data };
+}
+
+/**
+ * Unwrap a raw cache value, migrating it to the current version.
+ * @param {Object|null} raw - Value read from KV
+ * @returns {Object} { data, version, migrated } where data is null when the
+ *   entry is missing, can't be migrated or comes from a newer version
+ */
+export function readCacheEntry(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return { data: null, version: null, migrated: false };
+    }
+
+    const version = entryVersion(raw);
+    if (version > CACHE_SCHEMA_VERSION) {
+        // Written by a newer deployment; don't guess at its shape
+        return { data: null, version, migrated: false };
+    }
+
+    let data = version === 1 ? raw : raw.data;
+    for (let v = version; v < CACHE_SCHEMA_VERSION && data; v++) {
+        data = MIGRATIONS[v] ? MIGRATIONS[v](data) : null;
+    }
+
+    return { data, version, migrated: version !== CACHE_SCHEMA_VERSION };
+}
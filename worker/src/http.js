@@ -0,0 +1,52 @@
+/**
+ * JSON responses and API errors
+ *
+ * Every error the worker returns has the same shape:
+ *   { "error": "Human readable message", "code": "machine_readable_code" }
+ * plus route-specific fields (details, retry_after). Handlers throw ApiError
+ * and the router turns it into a response.
+ */
+
+/**
+ * Build a JSON response
+ */
+export function jsonResponse(data, status = 200, headers = {}) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { ...headers, 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Build a JSON error response
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @param {Object} options
+ * @param {Object} options.extra - Extra fields for the body
+ * @param {Object} options.headers - Extra response headers
+ */
+export function errorResponse(status, code, message, { extra = {}, headers = {} } = {}) {
+    return jsonResponse({ error: message, code, ...extra }, status, headers);
+}
+
+/**
+ * An error with an HTTP status and code, thrown by route handlers
+ */
+export class ApiError extends Error {
+    constructor(status, code, message, { extra = {}, headers = {} } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.extra = extra;
+        this.headers = headers;
+    }
+
+    toResponse() {
+        return errorResponse(this.status, this.code, this.message, {
+            extra: this.extra,
+            headers: this.headers
+        });
+    }
+}
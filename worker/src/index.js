@@ -3,181 +3,955 @@
  *
  * Fetches artist origin locations from MusicBrainz and Wikidata,
  * geocodes them with Nominatim, and caches results in KV.
+ * Team-maintained overrides (ARTIST_OVERRIDES KV) take precedence over
+ * both the cache and the resolver. Uncached lookups are rate limited per
+ * client IP, and can run as background jobs that clients poll and resume.
  */
 
 import {
     resolveArtistLocation,
-    geocodeLocation
+    geocodeLocation,
+    setLookupStorage
 } from '../../shared/location-resolver.js';
+import {
+    TokenBucketLimiter,
+    KVBucketStore,
+    MemoryBucketStore
+} from './rate-limit.js';
+import {
+    KVJobStore,
+    MemoryJobStore,
+    createJob,
+    pendingArtists
+} from './jobs.js';
+import { KVLookupStorage } from './lookup-storage.js';
+import { jsonResponse, errorResponse, ApiError } from './http.js';
+import { Router } from './router.js';
+import {
+    resultEvent,
+    deferredEvent,
+    errorEvent,
+    progressEvent,
+    doneEvent
+} from './stream-events.js';
+import { assertValid, readJsonBody } from './validation.js';
+import {
+    MAX_ARTISTS_PER_REQUEST,
+    ARTIST_NAME,
+    SPOTIFY_ID,
+    ARTISTS_REQUEST,
+    EXPLAIN_REQUEST,
+    OVERRIDE_REQUEST,
+    CACHE_DELETE_REQUEST
+} from './schemas.js';
+import {
+    CACHE_SCHEMA_VERSION,
+    resultStatus,
+    entryVersion,
+    wrapCacheEntry,
+    readCacheEntry
+} from './cache-schema.js';
 
 const CACHE_TTL = 30 * 24 * 60 * 60; // 30 days in seconds
+const NEGATIVE_CACHE_TTL = 7 * 24 * 60 * 60; // Unknown/partial results: 7 days
+
+// HTTP caching for GET /api/artist. Kept well below the KV TTLs so override
+// edits and re-resolved Unknowns reach clients within the hour.
+const ARTIST_MAX_AGE = 60 * 60; // Resolved results: 1 hour
+const NEGATIVE_ARTIST_MAX_AGE = 5 * 60; // Unknown/partial results: 5 minutes
+
+// Scheduled re-resolution of Unknown and partial results
+const RERESOLVE_AFTER_MS = 24 * 60 * 60 * 1000; // Retry negatives older than a day
+const RERESOLVE_BATCH = 20; // Artists re-resolved per cron run
+
+// Rate limit defaults (overridable with env vars of the same name).
+// Every uncached lookup costs one token; cache and override hits are free.
+const RATE_LIMIT_CAPACITY = 100; // Burst of uncached lookups per client
+const RATE_LIMIT_REFILL_PER_MINUTE = 30;
+const UNCACHED_LOOKUP_BUDGET = 25; // Max uncached lookups per request
+
+// Artists resolved at once per request. The shared resolver's per-service
+// queues keep MusicBrainz, Nominatim, Wikidata and Wikipedia within their
+// rate limits, so this only controls how much work overlaps.
+const RESOLVE_CONCURRENCY = 5;
+
+// Bucket store used when no RATE_LIMIT KV namespace is bound
+const memoryBucketStore = new MemoryBucketStore();
 
-// CORS headers for browser requests
+// Background jobs
+const JOB_SAVE_INTERVAL = 1000; // KV allows one write per key per second
+const JOB_POLL_INTERVAL = 1000; // How often a job stream checks for results
+const JOB_STREAM_MAX_MS = 25 * 1000; // Close job streams after this; clients resume
+const JOB_LEASE_MS = 60 * 1000; // A runner's hold on a job, renewed on every save
+
+// Job store used when no ARTIST_JOBS KV namespace is bound
+const memoryJobStore = new MemoryJobStore();
+
+// Resolutions in progress in this isolate, keyed like the cache, so
+// concurrent requests for the same artist share one lookup
+const inFlightLookups = new Map();
+
+// Origins allowed to call the worker from a browser when ALLOWED_ORIGINS
+// isn't set: the GitHub Pages site plus local development
+const DEFAULT_ALLOWED_ORIGINS = [
+    'https://spotify.tali.vision',
+    'http://127.0.0.1:8080',
+    'http://localhost:8080'
+];
+
+// CORS headers for browser requests (Allow-Origin is added per request)
 const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Retry-After, ETag',
 };
 
+/**
+ * Read the allowed origin list from env.ALLOWED_ORIGINS (comma-separated),
+ * falling back to DEFAULT_ALLOWED_ORIGINS. "*" allows any origin.
+ */
+function getAllowedOrigins(env) {
+    if (!env.ALLOWED_ORIGINS) return DEFAULT_ALLOWED_ORIGINS;
+    return env.ALLOWED_ORIGINS.split(',').map(o => o.trim()).filter(Boolean);
+}
+
+/**
+ * Work out the CORS headers for a request.
+ * Returns null when the request comes from a browser origin that isn't
+ * allowed. Requests without an Origin header (curl, other services) get
+ * no Allow-Origin header, since CORS doesn't apply to them.
+ */
+function getCorsHeaders(request, env) {
+    const allowed = getAllowedOrigins(env);
+    if (allowed.includes('*')) {
+        return { ...corsHeaders, 'Access-Control-Allow-Origin': '*' };
+    }
+
+    const origin = request.headers.get('Origin');
+    if (!origin) return { ...corsHeaders };
+    if (!allowed.includes(origin)) return null;
+
+    return { ...corsHeaders, 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' };
+}
+
+/**
+ * Copy a response, adding CORS headers
+ */
+function withCors(response, cors) {
+    const headers = new Headers(response.headers);
+    for (const [name, value] of Object.entries(cors)) {
+        headers.set(name, value);
+    }
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
 export default {
     async fetch(request, env, ctx) {
+        const cors = getCorsHeaders(request, env);
+        if (!cors) {
+            return errorResponse(403, 'origin_not_allowed', 'Origin not allowed');
+        }
+
         // Handle CORS preflight
         if (request.method === 'OPTIONS') {
-            return new Response(null, { headers: corsHeaders });
+            return new Response(null, { headers: cors });
         }
 
-        const url = new URL(request.url);
+        // Let the resolver cache area and geocode lookups in KV
+        setLookupStorage(env.ARTIST_CACHE ? new KVLookupStorage(env.ARTIST_CACHE) : null);
 
-        // Health check
-        if (url.pathname === '/health') {
-            return new Response('OK', {
-                headers: { ...corsHeaders, 'Content-Type': 'text/plain' }
-            });
+        return withCors(await router.handle(request, env, ctx), cors);
+    },
+
+    // Cron trigger: give stale Unknown results another chance, so artists
+    // newly added to MusicBrainz show up without waiting for the cache to expire
+    async scheduled(event, env, ctx) {
+        setLookupStorage(env.ARTIST_CACHE ? new KVLookupStorage(env.ARTIST_CACHE) : null);
+        ctx.waitUntil(reresolveStaleResults(env));
+    }
+};
+
+// ---------------------------------------------------------------------------
+// Routes
+// The OpenAPI document at /api/openapi.json is generated from this table.
+// ---------------------------------------------------------------------------
+
+const router = new Router()
+    .get('/health', handleHealth, {
+        summary: 'Health check',
+        responses: { 200: 'The worker is up (text/plain "OK")' }
+    })
+    .get('/api/openapi.json', () => jsonResponse(router.openApi(API_INFO)), {
+        summary: 'This OpenAPI document'
+    })
+    .post('/api/artists', handleArtists, {
+        summary: 'Resolve artists, streaming results as NDJSON',
+        description: 'Cached results arrive first, then uncached artists as they resolve. ' +
+            'Artists over the rate limit budget come back as { artist, deferred: true, retry_after } lines.',
+        body: ARTISTS_REQUEST,
+        responses: { 200: 'NDJSON result lines', 400: 'Invalid request', 429: 'Rate limit exceeded' }
+    })
+    .get('/api/artist', handleArtistLookup, {
+        summary: 'Resolve a single artist as JSON',
+        description: 'Responses carry ETag and Cache-Control headers. A Spotify id on its own ' +
+            'only works for artists already resolved with that id.',
+        query: { name: ARTIST_NAME, spotifyId: SPOTIFY_ID },
+        responses: {
+            200: 'The artist\'s location',
+            304: 'Not modified (If-None-Match matched)',
+            400: 'Invalid request',
+            404: 'Unknown Spotify id',
+            429: 'Rate limit exceeded'
+        }
+    })
+    .post('/api/explain', handleExplain, {
+        summary: 'Resolve an artist afresh with a trace of every step',
+        description: 'For debugging wrong pins. Returns { artist, override, cached, result, trace }. ' +
+            'Skips the result cache and does not write to it. Costs one rate limit token.',
+        body: EXPLAIN_REQUEST,
+        responses: { 200: 'The result and its trace', 400: 'Invalid request', 429: 'Rate limit exceeded' }
+    })
+    .post('/api/jobs', handleCreateJob, {
+        summary: 'Start a background job resolving artists',
+        body: ARTISTS_REQUEST,
+        responses: { 202: 'Job created: { id, status, total, url }', 400: 'Invalid request', 429: 'Rate limit exceeded' }
+    })
+    .get('/api/jobs/:id', handleGetJob, {
+        summary: 'Stream a job\'s results as NDJSON',
+        description: 'Ends with a { job, status, next } line; reconnect with ?from=next while the job is running.',
+        query: { from: { type: 'integer', minimum: 0, description: 'Result line to start from' } },
+        responses: { 200: 'NDJSON result lines', 404: 'Job not found' }
+    })
+    .get('/api/overrides', handleListOverrides, {
+        summary: 'List shared location overrides',
+        responses: { 200: '{ overrides: { artist: location } }' }
+    })
+    .put('/api/overrides/:artist', handlePutOverride, {
+        summary: 'Pin an artist\'s location',
+        body: OVERRIDE_REQUEST,
+        admin: true,
+        responses: {
+            200: 'The saved override',
+            400: 'Invalid request',
+            401: 'Missing admin token',
+            403: 'Invalid admin token',
+            422: 'location_name could not be geocoded',
+            503: 'Overrides are not configured'
+        }
+    })
+    .get('/api/cache/stats', handleCacheStats, {
+        summary: 'Count cache entries per schema version',
+        admin: true,
+        responses: { 200: '{ current, total, versions }', 401: 'Missing admin token', 403: 'Invalid admin token' }
+    })
+    .delete('/api/cache', handleDeleteCache, {
+        summary: 'Delete cached artists and/or resolver lookups',
+        body: CACHE_DELETE_REQUEST,
+        admin: true,
+        responses: {
+            200: '{ deleted: [names], lookups_deleted }',
+            400: 'Invalid request',
+            401: 'Missing admin token',
+            403: 'Invalid admin token'
         }
+    });
 
-        // Main API endpoint
-        if (url.pathname === '/api/artists' && request.method === 'POST') {
-            try {
-                const body = await request.json();
-                const artists = body.artists || [];
-
-                if (!Array.isArray(artists) || artists.length === 0) {
-                    return new Response(JSON.stringify({ error: 'Invalid artists array' }), {
-                        status: 400,
-                        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-                    });
-                }
+const API_INFO = {
+    title: 'Where Am I Listening artist locations',
+    version: '2.0.0',
+    description: 'Resolves where music artists come from. Errors are JSON objects with error and code fields.'
+};
 
-                // Limit to 50 artists per request
-                const limitedArtists = artists.slice(0, 50);
-
-                // Pre-check cache for all artists
-                const cachedResults = {};
-                const uncachedArtists = [];
-                if (env.ARTIST_CACHE) {
-                    for (const name of limitedArtists) {
-                        const cacheKey = `artist:${name.toLowerCase()}`;
-                        try {
-                            const cached = await env.ARTIST_CACHE.get(cacheKey, 'json');
-                            if (cached && (cached.location_coord || cached.location_name === 'Unknown')) {
-                                cachedResults[name] = cached;
-                                continue;
-                            }
-                        } catch (e) { /* fall through */ }
-                        uncachedArtists.push(name);
-                    }
-                } else {
-                    uncachedArtists.push(...limitedArtists);
-                }
+function handleHealth() {
+    return new Response('OK', {
+        headers: { 'Content-Type': 'text/plain' }
+    });
+}
 
-                // Stream results back as NDJSON — cached results arrive instantly,
-                // uncached ones trickle in as they're resolved
-                const encoder = new TextEncoder();
-                const stream = new ReadableStream({
-                    async start(controller) {
-                        try {
-                            // Flush cached results immediately
-                            for (const [name, data] of Object.entries(cachedResults)) {
-                                controller.enqueue(encoder.encode(
-                                    JSON.stringify({ artist: name, ...data }) + '\n'
-                                ));
-                            }
-
-                            // Process uncached artists sequentially
-                            for (let i = 0; i < uncachedArtists.length; i++) {
-                                const name = uncachedArtists[i];
-                                const result = await getArtistLocation(name, env);
-                                controller.enqueue(encoder.encode(
-                                    JSON.stringify({ artist: name, ...result }) + '\n'
-                                ));
-                                if (i < uncachedArtists.length - 1) {
-                                    await new Promise(r => setTimeout(r, 500));
-                                }
-                            }
-                        } catch (e) {
-                            console.error('Stream error:', e);
-                        } finally {
-                            controller.close();
-                        }
-                    }
-                });
+/**
+ * POST /api/artists: stream typed events back as NDJSON (see
+ * stream-events.js). Cached results arrive instantly, uncached ones in the
+ * order they finish resolving, each followed by a progress event, and the
+ * stream ends with a done event.
+ */
+async function handleArtists({ request, env }) {
+    const startedAt = Date.now();
+    const plan = await planLookups(request, env);
+    const total = plan.lines.length + plan.pending.length;
 
-                return new Response(stream, {
-                    headers: { ...corsHeaders, 'Content-Type': 'application/x-ndjson' }
-                });
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+        async start(controller) {
+            const sent = [];
+            const send = (line) => {
+                sent.push(line);
+                controller.enqueue(encoder.encode(JSON.stringify(line) + '\n'));
+            };
 
-            } catch (error) {
-                console.error('Error processing request:', error);
-                return new Response(JSON.stringify({ error: error.message }), {
-                    status: 500,
-                    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+            try {
+                // Flush cached results and deferred artists immediately
+                plan.lines.forEach(send);
+                send(progressEvent(sent, total));
+
+                // Resolve uncached artists concurrently. A failed artist
+                // gets an error event and isn't cached, so the client can
+                // ask again for just that one.
+                const concurrency = readLimit(env.RESOLVE_CONCURRENCY, RESOLVE_CONCURRENCY);
+                await runConcurrently(plan.pending, concurrency, async ({ name, spotifyId, genres }) => {
+                    try {
+                        send(resultEvent(name, await getArtistLocation(name, env, spotifyId, genres)));
+                    } catch (e) {
+                        console.error(`Failed to resolve ${name}:`, e);
+                        send(errorEvent(name, e));
+                    }
+                    send(progressEvent(sent, total));
                 });
+            } catch (e) {
+                console.error('Stream error:', e);
+                send(errorEvent(null, e));
+            } finally {
+                send(doneEvent(sent, total, { cached: plan.cached, durationMs: Date.now() - startedAt }));
+                controller.close();
             }
         }
+    });
+
+    return new Response(stream, {
+        headers: { 'Content-Type': 'application/x-ndjson' }
+    });
+}
+
+/**
+ * POST /api/jobs: start a background job for a batch of artists
+ */
+async function handleCreateJob({ request, env, ctx }) {
+    const plan = await planLookups(request, env);
+
+    const job = createJob(plan.pending, plan.lines, plan.cached);
+    if (job.status === 'running') job.lease = createLease();
+    await getJobStore(env).put(job);
+    if (job.status === 'running') {
+        runInBackground(ctx, runJob(job, env));
+    }
+
+    return jsonResponse({
+        id: job.id,
+        status: job.status,
+        total: job.total,
+        url: `/api/jobs/${job.id}`
+    }, 202);
+}
+
+/**
+ * GET /api/jobs/:id: stream a job's results as NDJSON, starting at ?from=N
+ */
+async function handleGetJob({ env, ctx, url, params }) {
+    const store = getJobStore(env);
+    const job = await store.get(params.id);
+    if (!job) {
+        throw new ApiError(404, 'not_found', 'Job not found');
+    }
+
+    // The background task may have been cut off (waitUntil has a time
+    // limit); pick up the remaining artists without redoing finished ones
+    if (job.status === 'running' && isLeaseExpired(job)) {
+        const leased = await takeOverJob(job, store);
+        if (leased) {
+            console.log(`Resuming stalled job ${job.id}`);
+            runInBackground(ctx, runJob(leased, env));
+        }
+    }
+
+    const from = Math.max(0, parseInt(url.searchParams.get('from'), 10) || 0);
+    return new Response(streamJob(job, from, store), {
+        headers: { 'Content-Type': 'application/x-ndjson' }
+    });
+}
+
+/**
+ * A runner's lease on a job: only the owner may save it, and it must save
+ * (renewing the lease) before expires_at or a poll may take the job over
+ */
+function createLease() {
+    return { owner: crypto.randomUUID(), expires_at: Date.now() + JOB_LEASE_MS };
+}
+
+/**
+ * Whether a running job's runner has stopped renewing its lease. Jobs
+ * saved before leases existed count from their last update.
+ */
+function isLeaseExpired(job) {
+    const expiresAt = job.lease?.expires_at ?? job.updated_at + JOB_LEASE_MS;
+    return expiresAt <= Date.now();
+}
+
+/**
+ * Take over a job whose lease has expired: write a new lease, read the
+ * job back, and resume only if the lease that stuck is ours. KV writes
+ * aren't atomic, so two polls may still both win here; the loser stops at
+ * its first save, when it finds the other's lease (see saveLeasedJob).
+ * @returns {Promise<Object|null>} The leased job, or null if another poll
+ *   took it over
+ */
+async function takeOverJob(job, store) {
+    const lease = createLease();
+    await store.put({ ...job, lease });
+
+    const stored = await store.get(job.id);
+    if (stored?.lease?.owner !== lease.owner) {
+        console.log(`Job ${job.id} was resumed by another request`);
+        return null;
+    }
+    return stored;
+}
+
+/**
+ * Save a job if this runner still holds its lease, renewing it
+ * @returns {Promise<boolean>} false if another runner has taken the job over
+ */
+async function saveLeasedJob(job, store) {
+    const stored = await store.get(job.id);
+    if (stored?.lease?.owner !== job.lease.owner) return false;
+
+    job.lease = { ...job.lease, expires_at: Date.now() + JOB_LEASE_MS };
+    await store.put(job);
+    return true;
+}
+
+/**
+ * GET /api/overrides: list shared location overrides
+ */
+async function handleListOverrides({ env }) {
+    return jsonResponse({ overrides: await listOverrides(env) });
+}
+
+/**
+ * PUT /api/overrides/:artist: pin a canonical location for an artist
+ * (admin only)
+ */
+async function handlePutOverride({ request, env, params }) {
+    requireAdmin(request, env);
+
+    if (!env.ARTIST_OVERRIDES) {
+        throw new ApiError(503, 'not_configured', 'Overrides are not configured');
+    }
+
+    const artistName = params.artist;
+    assertValid(ARTIST_NAME, artistName, 'artist');
+    const body = await readJsonBody(request, OVERRIDE_REQUEST);
+
+    let coord = body.location_coord;
+    if (coord === undefined || coord === null) {
+        // No coordinates given — geocode the location name
+        const geoResult = await geocodeLocation(body.location_name);
+        if (!geoResult) {
+            throw new ApiError(422, 'geocode_failed', `Could not geocode ${body.location_name}`);
+        }
+        coord = geoResult.coords;
+    }
+
+    const override = {
+        location_name: body.location_name.trim(),
+        location_coord: coord,
+        source: 'override',
+        confidence: 1,
+        updated_at: new Date().toISOString()
+    };
+    await env.ARTIST_OVERRIDES.put(overrideKey(artistName), JSON.stringify(override));
+
+    return jsonResponse({ artist: artistName, ...override });
+}
+
+/**
+ * GET /api/cache/stats: report cache entries per schema version (admin only)
+ */
+async function handleCacheStats({ request, env }) {
+    requireAdmin(request, env);
+    return jsonResponse(await countCacheVersions(env));
+}
+
+/**
+ * DELETE /api/cache: delete cached artists, and with lookups: true the
+ * resolver's cached area, capital and geocode lookups (admin only)
+ */
+async function handleDeleteCache({ request, env }) {
+    requireAdmin(request, env);
+    const { artists = [], lookups = false } = await readJsonBody(request, CACHE_DELETE_REQUEST);
+    if (artists.length === 0 && !lookups) {
+        throw new ApiError(400, 'invalid_request', 'Invalid request: give artists to delete or lookups: true');
+    }
+
+    const deleted = [];
+    let lookupsDeleted = 0;
+    if (env.ARTIST_CACHE) {
+        for (const name of artists) {
+            await env.ARTIST_CACHE.delete(artistCacheKey(name));
+            deleted.push(name);
+        }
+        if (lookups) {
+            lookupsDeleted = await new KVLookupStorage(env.ARTIST_CACHE).clear();
+        }
+    }
+
+    return jsonResponse({ deleted, ...(lookups && { lookups_deleted: lookupsDeleted }) });
+}
+
+/**
+ * Read an /api/artists or /api/jobs payload and work out what needs doing.
+ * Overrides and cache hits become result lines straight away. Uncached
+ * artists are charged against the client's rate limit bucket; artists over
+ * the per-request budget or the bucket become deferred lines, which tell
+ * the client to send them again after retry_after seconds.
+ * @returns {Promise<Object>} { lines, pending, cached } where cached counts
+ *   the result lines
+ * @throws {ApiError} When the payload is invalid, or the bucket is empty
+ *   and no artist was cached
+ */
+async function planLookups(request, env) {
+    const { artists } = await readJsonBody(request, ARTISTS_REQUEST);
+    const limitedArtists = artists.map(normalizeArtistEntry).slice(0, MAX_ARTISTS_PER_REQUEST);
+
+    // Pre-check overrides and cache for all artists
+    const known = await Promise.all(limitedArtists.map(async ({ name, spotifyId }) =>
+        (await getOverride(name, env)) || getKnownLocation(name, env, spotifyId)
+    ));
+    const lines = [];
+    const pending = [];
+    limitedArtists.forEach((artist, i) => {
+        if (known[i]) {
+            lines.push(resultEvent(artist.name, known[i]));
+        } else {
+            pending.push(artist);
+        }
+    });
+
+    const cached = lines.length;
+    if (pending.length > 0) {
+        const budget = Math.min(pending.length,
+            readLimit(env.UNCACHED_LOOKUP_BUDGET, UNCACHED_LOOKUP_BUDGET));
+        const bucket = await getRateLimiter(env).take(getClientKey(request), budget);
+        // Cache hits cost no upstream calls, so an empty bucket only fails
+        // a request that has nothing else to return
+        if (bucket.granted === 0 && cached === 0) throw rateLimitError(bucket);
+
+        for (const { name } of pending.splice(bucket.granted)) {
+            lines.push(deferredEvent(name, bucket.retryAfter));
+        }
+    }
+
+    return { lines, pending, cached };
+}
+
+/**
+ * Take up to `cost` rate limit tokens for the requesting client
+ * @throws {ApiError} 429 with Retry-After when the bucket is empty
+ */
+async function takeTokens(request, env, cost) {
+    const bucket = await getRateLimiter(env).take(getClientKey(request), cost);
+    if (bucket.granted === 0) throw rateLimitError(bucket);
+    return bucket;
+}
+
+function rateLimitError(bucket) {
+    return new ApiError(429, 'rate_limited', 'Rate limit exceeded', {
+        extra: { retry_after: bucket.retryAfter },
+        headers: { 'Retry-After': String(bucket.retryAfter) }
+    });
+}
+
+/**
+ * Serve GET /api/artist?name=...&spotifyId=... with ETag and Cache-Control
+ * headers. Either parameter is enough: a Spotify id on its own is mapped
+ * back to the artist name it was last resolved under. Responses are kept in
+ * the Cloudflare edge cache (when available) under a normalized URL, and an
+ * uncached artist costs one rate limit token, like on /api/artists.
+ */
+async function handleArtistLookup({ request, env, ctx, url }) {
+    const spotifyId = url.searchParams.get('spotifyId')?.trim() || null;
+    let name = url.searchParams.get('name')?.trim() || null;
+    if (spotifyId) assertValid(SPOTIFY_ID, spotifyId, 'spotifyId');
+    if (name) assertValid(ARTIST_NAME, name, 'name');
+
+    if (!name && spotifyId) {
+        name = await getArtistNameForSpotifyId(spotifyId, env);
+        if (!name) {
+            throw new ApiError(404, 'not_found', 'Unknown Spotify id; include name to resolve it');
+        }
+    }
+    if (!name) {
+        throw new ApiError(400, 'invalid_request', 'Missing name or spotifyId');
+    }
+
+    // The Spotify id can change which artist is resolved, so it's part of the key
+    const edgeCache = globalThis.caches?.default;
+    const edgeKey = new Request(
+        `${url.origin}/api/artist?name=${encodeURIComponent(name.toLowerCase())}` +
+        (spotifyId ? `&spotifyId=${encodeURIComponent(spotifyId)}` : '')
+    );
+
+    // Overrides are checked before the edge cache and never stored in it,
+    // and clients must revalidate them, so edits take effect at once
+    const override = await getOverride(name, env);
+    let response = override
+        ? await cacheableJsonResponse({ artist: name, ...override }, 'no-cache')
+        : null;
+    if (!response && edgeCache) {
+        response = await edgeCache.match(edgeKey);
+    }
+    if (!response) {
+        let result = await getKnownLocation(name, env, spotifyId);
+        if (!result) {
+            await takeTokens(request, env, 1);
+            result = await getArtistLocation(name, env, spotifyId);
+        }
+
+        response = await cacheableJsonResponse({ artist: name, ...result });
+        if (edgeCache) {
+            runInBackground(ctx, edgeCache.put(edgeKey, response.clone()));
+        }
+    }
+
+    // Conditional request: the client's copy is still current
+    const etag = response.headers.get('ETag');
+    if (matchesETag(request.headers.get('If-None-Match'), etag)) {
+        return new Response(null, {
+            status: 304,
+            headers: { 'ETag': etag, 'Cache-Control': response.headers.get('Cache-Control') }
+        });
+    }
+    return response;
+}
+
+/**
+ * Check an If-None-Match header against an ETag. The header may list
+ * several tags or be `*`, and uses the weak comparison, so W/"x" matches
+ * "x" (Cloudflare weakens ETags when it compresses a response).
+ */
+function matchesETag(ifNoneMatch, etag) {
+    if (!ifNoneMatch || !etag) return false;
+    if (ifNoneMatch.trim() === '*') return true;
+    const opaqueTag = (tag) => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.split(',').some(tag => opaqueTag(tag) === opaqueTag(etag));
+}
+
+/**
+ * POST /api/explain: resolve an artist without the result cache and return
+ * the resolver's trace, alongside what the override and cache currently
+ * hold, to show why an artist landed where it did
+ */
+async function handleExplain({ request, env }) {
+    const body = await readJsonBody(request, EXPLAIN_REQUEST);
+    const name = body.name.trim();
+    const spotifyId = body.spotifyId || null;
+    const genres = body.genres || [];
+
+    await takeTokens(request, env, 1);
+
+    const [override, cached] = await Promise.all([
+        getOverride(name, env),
+        env.ARTIST_CACHE ? readCachedResult(name, env, spotifyId) : null
+    ]);
+    const { trace = [], ...result } = await resolveArtistLocation(name, {
+        spotifyId,
+        explain: true,
+        ...resolverOptions(env, genres)
+    });
+
+    return jsonResponse({ artist: name, override, cached, result, trace });
+}
+
+/**
+ * Build a JSON response for a single artist with an ETag over its body.
+ * Unknown and partial results are cached briefly, since the cron may
+ * re-resolve them.
+ * @param {string} [cacheControl] - Cache-Control to send instead
+ */
+async function cacheableJsonResponse(data, cacheControl = null) {
+    const body = JSON.stringify(data);
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(body));
+    const hash = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    const maxAge = data.location_coord ? ARTIST_MAX_AGE : NEGATIVE_ARTIST_MAX_AGE;
+
+    return new Response(body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'ETag': `"${hash}"`,
+            'Cache-Control': cacheControl || `public, max-age=${maxAge}`
+        }
+    });
+}
+
+/**
+ * Look up an artist's complete cache entry without resolving. Overrides
+ * aren't checked here; callers read them first. Cache entries missing
+ * coordinates don't count, so they get a geocoding retry in
+ * getArtistLocation.
+ */
+async function getKnownLocation(artistName, env, spotifyId = null) {
+    if (!env.ARTIST_CACHE) return null;
+
+    try {
+        const cached = await readCachedResult(artistName, env, spotifyId);
+        if (cached && (cached.location_coord || cached.location_name === 'Unknown')) {
+            return cached;
+        }
+    } catch (e) { /* fall through */ }
+    return null;
+}
+
+/**
+ * Resolve a job's pending artists, saving progress to the job store.
+ * Failed artists get an error event, as on /api/artists.
+ */
+async function runJob(job, env) {
+    const store = getJobStore(env);
+    const concurrency = readLimit(env.RESOLVE_CONCURRENCY, RESOLVE_CONCURRENCY);
+    let lastSave = Date.now();
+    let leaseLost = false;
+
+    await runConcurrently(pendingArtists(job), concurrency, async ({ name, spotifyId, genres }) => {
+        if (leaseLost) return;
+        try {
+            job.results.push(resultEvent(name, await getArtistLocation(name, env, spotifyId, genres)));
+        } catch (e) {
+            console.error(`Failed to resolve ${name}:`, e);
+            job.results.push(errorEvent(name, e));
+        }
+
+        if (Date.now() - lastSave >= JOB_SAVE_INTERVAL) {
+            lastSave = Date.now();
+            leaseLost = !await saveLeasedJob(job, store);
+        }
+    });
+
+    if (!leaseLost) {
+        job.status = 'done';
+        job.finished_at = Date.now();
+        leaseLost = !await saveLeasedJob(job, store);
+    }
+    if (leaseLost) {
+        console.log(`Stopping job ${job.id}: resumed elsewhere`);
+    }
+}
+
+/**
+ * Stream a job's result lines from offset `from`, polling the store until
+ * the job is done or JOB_STREAM_MAX_MS has passed. Each batch of new lines
+ * is followed by a progress event. The last line is a done event, or a
+ * progress event if the job is still running; both carry { job, status,
+ * next } so the client knows where to resume.
+ */
+function streamJob(job, from, store) {
+    const encoder = new TextEncoder();
+    const deadline = Date.now() + JOB_STREAM_MAX_MS;
 
-        // Delete cached artists
-        if (url.pathname === '/api/cache' && request.method === 'DELETE') {
+    return new ReadableStream({
+        async start(controller) {
+            let current = job;
+            let next = from;
             try {
-                const body = await request.json();
-                const artists = body.artists || [];
-
-                if (!Array.isArray(artists) || artists.length === 0) {
-                    return new Response(JSON.stringify({ error: 'Invalid artists array' }), {
-                        status: 400,
-                        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-                    });
-                }
+                while (true) {
+                    const fresh = current.results.slice(next);
+                    for (const line of fresh) {
+                        controller.enqueue(encoder.encode(JSON.stringify(line) + '\n'));
+                    }
+                    next = Math.max(next, current.results.length);
 
-                const deleted = [];
-                if (env.ARTIST_CACHE) {
-                    for (const name of artists) {
-                        const cacheKey = `artist:${name.toLowerCase()}`;
-                        await env.ARTIST_CACHE.delete(cacheKey);
-                        deleted.push(name);
+                    if (current.status === 'done' || Date.now() >= deadline) break;
+                    if (fresh.length > 0) {
+                        controller.enqueue(encoder.encode(
+                            JSON.stringify(progressEvent(current.results, current.total)) + '\n'
+                        ));
                     }
-                }
+                    await new Promise(r => setTimeout(r, JOB_POLL_INTERVAL));
 
-                return new Response(JSON.stringify({ deleted }), {
-                    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-                });
-            } catch (error) {
-                return new Response(JSON.stringify({ error: error.message }), {
-                    status: 500,
-                    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-                });
+                    const latest = await store.get(job.id);
+                    if (!latest) break; // expired while streaming
+                    current = latest;
+                }
+                const last = current.status === 'done'
+                    ? doneEvent(current.results, current.total, {
+                        cached: current.cached ?? 0,
+                        durationMs: (current.finished_at || current.updated_at) - current.created_at
+                    })
+                    : progressEvent(current.results, current.total);
+                controller.enqueue(encoder.encode(
+                    JSON.stringify({ ...last, job: job.id, status: current.status, next }) + '\n'
+                ));
+            } catch (e) {
+                console.error('Job stream error:', e);
+                controller.enqueue(encoder.encode(JSON.stringify(errorEvent(null, e)) + '\n'));
+            } finally {
+                controller.close();
             }
         }
+    });
+}
+
+function getJobStore(env) {
+    return env.ARTIST_JOBS ? new KVJobStore(env.ARTIST_JOBS) : memoryJobStore;
+}
+
+/**
+ * Keep a task running after the response is sent
+ */
+function runInBackground(ctx, promise) {
+    const task = promise.catch(e => console.error('Background task failed:', e));
+    if (ctx?.waitUntil) ctx.waitUntil(task);
+}
+
+/**
+ * Normalize an entry of the /api/artists payload.
+ * Entries are either a plain artist name or { name, spotifyId, genres }.
+ */
+function normalizeArtistEntry(entry) {
+    if (typeof entry === 'string') {
+        return { name: entry, spotifyId: null, genres: [] };
+    }
+    return {
+        name: String(entry?.name ?? ''),
+        spotifyId: entry?.spotifyId || null,
+        genres: entry?.genres || []
+    };
+}
 
-        // 404 for unknown routes
-        return new Response('Not Found', {
-            status: 404,
-            headers: corsHeaders
+/**
+ * Call fn for each item with at most `limit` calls in flight at once
+ */
+async function runConcurrently(items, limit, fn) {
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            await fn(items[next++]);
+        }
+    });
+    await Promise.all(workers);
+}
+
+/**
+ * Identify the client for rate limiting by its IP address
+ */
+function getClientKey(request) {
+    return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+/**
+ * Parse a numeric limit from an env var, falling back to the default
+ */
+function readLimit(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && number > 0 ? number : fallback;
+}
+
+/**
+ * Build the rate limiter, backed by the RATE_LIMIT KV namespace when bound
+ */
+function getRateLimiter(env) {
+    const store = env.RATE_LIMIT ? new KVBucketStore(env.RATE_LIMIT) : memoryBucketStore;
+    return new TokenBucketLimiter(store, {
+        capacity: readLimit(env.RATE_LIMIT_CAPACITY, RATE_LIMIT_CAPACITY),
+        refillPerSecond: readLimit(env.RATE_LIMIT_REFILL_PER_MINUTE, RATE_LIMIT_REFILL_PER_MINUTE) / 60
+    });
+}
+
+/**
+ * Check the request carries the admin bearer token from env.ADMIN_TOKEN.
+ * @throws {ApiError} 401 without a token, 403 with the wrong one or when
+ *   no token is configured
+ */
+function requireAdmin(request, env) {
+    const header = request.headers.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+    if (!token) {
+        throw new ApiError(401, 'missing_admin_token', 'Missing admin token', {
+            headers: { 'WWW-Authenticate': 'Bearer' }
         });
     }
-};
+    if (!env.ADMIN_TOKEN || !timingSafeEqual(token, env.ADMIN_TOKEN)) {
+        throw new ApiError(403, 'invalid_admin_token', 'Invalid admin token');
+    }
+}
+
+/**
+ * Compare two strings without short-circuiting on the first mismatch
+ */
+function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+function overrideKey(artistName) {
+    return `override:${artistName.toLowerCase()}`;
+}
+
+/**
+ * Get the shared override for an artist, if one exists
+ */
+async function getOverride(artistName, env) {
+    if (!env.ARTIST_OVERRIDES) return null;
+    try {
+        return await env.ARTIST_OVERRIDES.get(overrideKey(artistName), 'json');
+    } catch (e) {
+        console.warn('Override read error:', e);
+        return null;
+    }
+}
 
 /**
- * Get artist location, using cache if available
+ * List every shared override, keyed by lowercased artist name
  */
-async function getArtistLocation(artistName, env) {
+async function listOverrides(env) {
+    const overrides = {};
+    if (!env.ARTIST_OVERRIDES) return overrides;
+
+    let cursor;
+    do {
+        const page = await env.ARTIST_OVERRIDES.list({ prefix: 'override:', cursor });
+        for (const { name } of page.keys) {
+            const value = await env.ARTIST_OVERRIDES.get(name, 'json');
+            if (value) overrides[name.slice('override:'.length)] = value;
+        }
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    return overrides;
+}
+
+/**
+ * Get artist location from the cache, or resolve it on a miss. Overrides
+ * aren't checked here: callers read them first (planLookups does, for
+ * streams and jobs).
+ * Spotify genres only matter on a cache miss, as language hints for the
+ * resolver.
+ */
+async function getArtistLocation(artistName, env, spotifyId = null, genres = []) {
     // Check cache first (if KV is available)
-    const cacheKey = `artist:${artistName.toLowerCase()}`;
+    const cacheKey = artistCacheKey(artistName);
 
     if (env.ARTIST_CACHE) {
         try {
-            const cached = await env.ARTIST_CACHE.get(cacheKey, 'json');
+            const cached = await readCachedResult(artistName, env, spotifyId);
             if (cached) {
                 // Retry geocoding if we have a location name but no coordinates
                 if (cached.location_name && cached.location_name !== 'Unknown' && !cached.location_coord) {
                     console.log(`Cache hit (retrying geocoding): ${artistName}`);
                     const geoResult = await geocodeLocation(cached.location_name);
                     if (geoResult) {
-                        cached.location_coord = geoResult.coords;
-                        cached.location_name = geoResult.displayName;
                         // Update cache with new coordinates
-                        await env.ARTIST_CACHE.put(cacheKey, JSON.stringify(cached), {
-                            expirationTtl: CACHE_TTL
-                        });
+                        return cacheResult(artistName, {
+                            ...cached,
+                            location_coord: geoResult.coords,
+                            location_name: geoResult.displayName
+                        }, env, spotifyId);
                     }
                 } else {
                     console.log(`Cache hit: ${artistName}`);
@@ -189,21 +963,183 @@ async function getArtistLocation(artistName, env) {
         }
     }
 
+    // Another request in this isolate may already be resolving the artist
+    const inFlight = inFlightLookups.get(cacheKey);
+    if (inFlight) {
+        console.log(`Joining in-flight lookup: ${artistName}`);
+        return inFlight;
+    }
+
     console.log(`Cache miss: ${artistName}`);
 
-    // Use shared resolver
-    const result = await resolveArtistLocation(artistName);
+    const lookup = resolveAndCache(artistName, env, spotifyId, genres)
+        .finally(() => inFlightLookups.delete(cacheKey));
+    inFlightLookups.set(cacheKey, lookup);
+    return lookup;
+}
 
-    // Cache the result (if KV is available)
-    if (env.ARTIST_CACHE) {
-        try {
-            await env.ARTIST_CACHE.put(cacheKey, JSON.stringify(result), {
+/**
+ * Resolve an artist with the shared resolver and cache the result
+ */
+async function resolveAndCache(artistName, env, spotifyId, genres = []) {
+    // Use shared resolver — the Spotify id lets it skip name search
+    const result = await resolveArtistLocation(artistName, { spotifyId, ...resolverOptions(env, genres) });
+    return cacheResult(artistName, result, env, spotifyId);
+}
+
+/**
+ * Resolver options besides the Spotify id: env.RESOLVER_SOURCES
+ * (comma-separated source names), which overrides which sources the
+ * resolver runs and in what order, and the artist's Spotify genres
+ */
+function resolverOptions(env, genres = []) {
+    return {
+        ...(env.RESOLVER_SOURCES && { sources: env.RESOLVER_SOURCES }),
+        ...(genres?.length > 0 && { genres })
+    };
+}
+
+function artistCacheKey(artistName) {
+    return `artist:${artistName.toLowerCase()}`;
+}
+
+function spotifyIndexKey(spotifyId) {
+    return `spotify:${spotifyId}`;
+}
+
+/**
+ * Find the artist name a Spotify id was last resolved under
+ */
+async function getArtistNameForSpotifyId(spotifyId, env) {
+    if (!env.ARTIST_CACHE) return null;
+    return env.ARTIST_CACHE.get(spotifyIndexKey(spotifyId));
+}
+
+/**
+ * Read an artist's cache entry, migrating it from older schema versions.
+ * Upgraded entries are written back; entries that can't be upgraded read
+ * as a cache miss.
+ */
+async function readCachedResult(artistName, env, spotifyId = null) {
+    const raw = await env.ARTIST_CACHE.get(artistCacheKey(artistName), 'json');
+    const { data, version, migrated } = readCacheEntry(raw);
+
+    if (data && migrated) {
+        console.log(`Migrated cache entry for ${artistName} from v${version}`);
+        await writeCacheEntry(artistName, data, env, spotifyId);
+    }
+    return data;
+}
+
+/**
+ * Stamp a result with its status and resolved_at time, and cache it (if KV
+ * is available)
+ * @returns {Promise<Object>} The stamped result
+ */
+async function cacheResult(artistName, result, env, spotifyId = null) {
+    const stamped = {
+        ...result,
+        status: resultStatus(result),
+        resolved_at: new Date().toISOString()
+    };
+    await writeCacheEntry(artistName, stamped, env, spotifyId);
+    return stamped;
+}
+
+/**
+ * Write result data to the cache in the current envelope. Unknown and
+ * partial results get a shorter TTL. The version, status, time, name and
+ * Spotify id are also stored as KV metadata so the cron and the stats
+ * route can work from a key listing alone.
+ */
+async function writeCacheEntry(artistName, data, env, spotifyId = null) {
+    if (!env.ARTIST_CACHE) return;
+
+    try {
+        await env.ARTIST_CACHE.put(artistCacheKey(artistName), JSON.stringify(wrapCacheEntry(data)), {
+            expirationTtl: data.status === 'resolved' ? CACHE_TTL : NEGATIVE_CACHE_TTL,
+            metadata: {
+                version: CACHE_SCHEMA_VERSION,
+                status: data.status,
+                resolved_at: data.resolved_at,
+                name: artistName,
+                spotify_id: spotifyId
+            }
+        });
+        // Let GET /api/artist find the entry from a Spotify id alone
+        if (spotifyId) {
+            await env.ARTIST_CACHE.put(spotifyIndexKey(spotifyId), artistName, {
                 expirationTtl: CACHE_TTL
             });
-        } catch (e) {
-            console.warn('Cache write error:', e);
         }
+    } catch (e) {
+        console.warn('Cache write error:', e);
     }
+}
+
+/**
+ * Count artist cache entries per schema version. Entries whose metadata
+ * predates the version field are read to find their version.
+ */
+async function countCacheVersions(env) {
+    const versions = {};
+    let total = 0;
+
+    if (env.ARTIST_CACHE) {
+        let cursor;
+        do {
+            const page = await env.ARTIST_CACHE.list({ prefix: 'artist:', cursor });
+            for (const { name, metadata } of page.keys) {
+                let version = metadata?.version;
+                if (!version) {
+                    const raw = await env.ARTIST_CACHE.get(name, 'json');
+                    if (!raw) continue; // expired since the listing
+                    version = entryVersion(raw);
+                }
+                versions[version] = (versions[version] || 0) + 1;
+                total++;
+            }
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+    }
+
+    return { current: CACHE_SCHEMA_VERSION, total, versions };
+}
+
+/**
+ * Re-resolve up to RERESOLVE_BATCH Unknown/partial cache entries that are
+ * older than RERESOLVE_AFTER_MS. Entries cached before metadata was stored
+ * are skipped; they expire on their own.
+ * @returns {Promise<number>} Number of artists re-resolved
+ */
+async function reresolveStaleResults(env) {
+    if (!env.ARTIST_CACHE) return 0;
+
+    const stale = [];
+    const cutoff = Date.now() - RERESOLVE_AFTER_MS;
+    let cursor;
+    do {
+        const page = await env.ARTIST_CACHE.list({ prefix: 'artist:', cursor });
+        for (const { metadata } of page.keys) {
+            if (!metadata?.name || metadata.status === 'resolved') continue;
+            if (Date.parse(metadata.resolved_at) > cutoff) continue;
+            stale.push(metadata);
+            if (stale.length >= RERESOLVE_BATCH) break;
+        }
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor && stale.length < RERESOLVE_BATCH);
+
+    const concurrency = readLimit(env.RESOLVE_CONCURRENCY, RESOLVE_CONCURRENCY);
+    await runConcurrently(stale, concurrency, async ({ name, spotify_id }) => {
+        // Overridden artists never read the cache, so don't spend lookups on them
+        if (await getOverride(name, env)) return;
+        try {
+            const result = await resolveAndCache(name, env, spotify_id);
+            console.log(`Re-resolved ${name}: ${result.status}`);
+        } catch (e) {
+            console.error(`Failed to re-resolve ${name}:`, e);
+        }
+    });
 
-    return result;
+    return stale.length;
 }
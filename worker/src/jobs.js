@@ -0,0 +1,89 @@
+/**
+ * Storage for background resolution jobs
+ *
+ * A job records the artists still to resolve and every result line produced
+ * so far, so a client can reconnect and resume streaming from any offset.
+ * Jobs live in KV in production, or an in-memory map when no binding is
+ * configured (local development and tests).
+ */
+
+export const JOB_TTL = 60 * 60; // Keep finished jobs for an hour (seconds)
+
+/**
+ * Job store backed by a KV namespace
+ */
+export class KVJobStore {
+    constructor(kv) {
+        this.kv = kv;
+    }
+
+    async get(id) {
+        return this.kv.get(`job:${id}`, 'json');
+    }
+
+    async put(job) {
+        job.updated_at = Date.now();
+        await this.kv.put(`job:${job.id}`, JSON.stringify(job), {
+            expirationTtl: JOB_TTL
+        });
+    }
+}
+
+/**
+ * Job store kept in memory. Jobs are only visible to the isolate that
+ * created them, so this is a stand-in for local development and tests.
+ */
+export class MemoryJobStore {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    async get(id) {
+        const entry = this.jobs.get(id);
+        if (!entry) return null;
+        if (entry.expires <= Date.now()) {
+            this.jobs.delete(id);
+            return null;
+        }
+        // Hand out copies, like KV does, so readers never see a job mid-update
+        return JSON.parse(entry.json);
+    }
+
+    async put(job) {
+        job.updated_at = Date.now();
+        this.jobs.set(job.id, {
+            json: JSON.stringify(job),
+            expires: Date.now() + JOB_TTL * 1000
+        });
+    }
+}
+
+/**
+ * Create a new job record
+ * @param {Array} artists - { name, spotifyId } entries to resolve
+ * @param {Array} results - Event lines already known (cache hits etc.)
+ * @param {number} cached - How many of those lines are cache hits
+ * @returns {Object} Job record
+ */
+export function createJob(artists, results = [], cached = 0) {
+    const now = Date.now();
+    return {
+        id: crypto.randomUUID(),
+        status: artists.length > 0 ? 'running' : 'done',
+        total: results.length + artists.length,
+        cached,
+        artists,
+        results,
+        created_at: now,
+        updated_at: now,
+        ...(artists.length === 0 && { finished_at: now })
+    };
+}
+
+/**
+ * Artists in a job that don't have a result yet
+ */
+export function pendingArtists(job) {
+    const done = new Set(job.results.map(result => result.artist));
+    return job.artists.filter(artist => !done.has(artist.name));
+}
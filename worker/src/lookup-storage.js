@@ -0,0 +1,41 @@
+/**
+ * KV storage for the shared resolver's intermediate lookups
+ *
+ * Area hierarchies, subdivision capitals and geocodes are stored under a
+ * "lookup:" prefix in the ARTIST_CACHE namespace, next to (but separate
+ * from) the final artist results.
+ */
+
+export class KVLookupStorage {
+    constructor(kv) {
+        this.kv = kv;
+    }
+
+    async get(key) {
+        return this.kv.get(`lookup:${key}`, 'json');
+    }
+
+    async set(key, value, ttlSeconds) {
+        await this.kv.put(`lookup:${key}`, JSON.stringify(value), {
+            expirationTtl: ttlSeconds
+        });
+    }
+
+    /**
+     * Delete every stored lookup
+     * @returns {Promise<number>} How many were deleted
+     */
+    async clear() {
+        let deleted = 0;
+        let cursor;
+        do {
+            const page = await this.kv.list({ prefix: 'lookup:', cursor });
+            for (const { name } of page.keys) {
+                await this.kv.delete(name);
+                deleted++;
+            }
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+        return deleted;
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Token-bucket rate limiting for the worker
+ *
+ * Each client gets a bucket of tokens that refills at a steady rate; every
+ * uncached artist lookup costs one token. Bucket state lives in a store:
+ * KV in production, or an in-memory map when no binding is configured
+ * (local development and tests).
+ */
+
+/**
+ * Bucket store backed by a KV namespace.
+ * KV is eventually consistent, so concurrent requests from one client in
+ * different locations may each see a slightly stale bucket. That's fine for
+ * abuse protection; exact limits would need a Durable Object.
+ */
+export class KVBucketStore {
+    constructor(kv) {
+        this.kv = kv;
+    }
+
+    async get(key) {
+        return this.kv.get(`ratelimit:${key}`, 'json');
+    }
+
+    async put(key, state, ttlSeconds) {
+        // KV rejects expirations shorter than 60 seconds
+        await this.kv.put(`ratelimit:${key}`, JSON.stringify(state), {
+            expirationTtl: Math.max(60, Math.ceil(ttlSeconds))
+        });
+    }
+}
+
+/**
+ * Bucket store kept in memory. State is per isolate, so this only limits
+ * clients that keep hitting the same worker instance.
+ */
+export class MemoryBucketStore {
+    constructor(now = Date.now) {
+        this.now = now;
+        this.buckets = new Map();
+    }
+
+    async get(key) {
+        const entry = this.buckets.get(key);
+        if (!entry) return null;
+        if (entry.expires <= this.now()) {
+            this.buckets.delete(key);
+            return null;
+        }
+        return entry.state;
+    }
+
+    async put(key, state, ttlSeconds) {
+        this.buckets.set(key, { state, expires: this.now() + ttlSeconds * 1000 });
+    }
+}
+
+export class TokenBucketLimiter {
+    /**
+     * @param {Object} store - KVBucketStore or MemoryBucketStore
+     * @param {Object} options
+     * @param {number} options.capacity - Maximum tokens a client can hold
+     * @param {number} options.refillPerSecond - Tokens added per second
+     * @param {Function} options.now - Clock in ms (for tests)
+     */
+    constructor(store, { capacity, refillPerSecond, now = Date.now }) {
+        this.store = store;
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.now = now;
+    }
+
+    /**
+     * Take up to `cost` tokens from a client's bucket.
+     * Grants as many whole tokens as are available, so a client with a
+     * partly empty bucket can still make progress.
+     * @param {string} key - Client identifier (IP address)
+     * @param {number} cost - Tokens wanted
+     * @returns {Promise<Object>} { granted, remaining, retryAfter } where
+     *   retryAfter is the number of seconds until another token is available
+     *   (0 if one is available now)
+     */
+    async take(key, cost) {
+        const now = this.now();
+        const state = await this.store.get(key);
+
+        let tokens = this.capacity;
+        if (state) {
+            const elapsed = Math.max(0, now - state.updated) / 1000;
+            tokens = Math.min(this.capacity, state.tokens + elapsed * this.refillPerSecond);
+        }
+
+        const granted = Math.max(0, Math.min(cost, Math.floor(tokens)));
+        tokens -= granted;
+
+        // Keep the bucket until it would have refilled completely
+        const ttl = (this.capacity - tokens) / this.refillPerSecond;
+        await this.store.put(key, { tokens, updated: now }, ttl);
+
+        const retryAfter = tokens >= 1 ? 0 : Math.ceil((1 - tokens) / this.refillPerSecond);
+        return { granted, remaining: Math.floor(tokens), retryAfter };
+    }
+}
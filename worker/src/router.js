@@ -0,0 +1,158 @@
+/**
+ * Small request router for the worker
+ *
+ * Routes are registered with a method, a path (":name" segments become
+ * params), a handler and an OpenAPI description, so the published API
+ * document is generated from the same table that dispatches requests.
+ * Unknown paths get a 404 and known paths with the wrong method a 405, both
+ * as JSON errors. Handlers may throw ApiError; anything else becomes a 500.
+ */
+
+import { ApiError, errorResponse } from './http.js';
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+        error: { type: 'string', description: 'Human-readable message' },
+        code: { type: 'string', description: 'Machine-readable error code, e.g. invalid_request' },
+        details: {
+            type: 'array',
+            description: 'Validation problems (invalid_request only)',
+            items: {
+                type: 'object',
+                properties: { path: { type: 'string' }, message: { type: 'string' } }
+            }
+        }
+    }
+};
+
+function compilePath(path) {
+    const params = [];
+    const source = path.split('/').map(segment => {
+        if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        params.push(segment.slice(1));
+        return '([^/]+)';
+    }).join('/');
+    return { pattern: new RegExp(`^${source}$`), params };
+}
+
+export class Router {
+    constructor() {
+        this.routes = [];
+    }
+
+    /**
+     * Register a route
+     * @param {string} method - HTTP method
+     * @param {string} path - Path, e.g. /api/jobs/:id
+     * @param {Function} handler - ({ request, env, ctx, url, params }) => Response
+     * @param {Object} spec - OpenAPI description: summary, description,
+     *   query (name -> schema), body (schema), responses (status -> text),
+     *   admin (requires the bearer token)
+     */
+    add(method, path, handler, spec = {}) {
+        this.routes.push({ method, path, handler, spec, ...compilePath(path) });
+        return this;
+    }
+
+    get(path, handler, spec) { return this.add('GET', path, handler, spec); }
+    post(path, handler, spec) { return this.add('POST', path, handler, spec); }
+    put(path, handler, spec) { return this.add('PUT', path, handler, spec); }
+    delete(path, handler, spec) { return this.add('DELETE', path, handler, spec); }
+
+    /**
+     * Dispatch a request to the matching route
+     */
+    async handle(request, env, ctx) {
+        const url = new URL(request.url);
+        const allowed = [];
+
+        for (const route of this.routes) {
+            const match = route.pattern.exec(url.pathname);
+            if (!match) continue;
+            if (route.method !== request.method) {
+                allowed.push(route.method);
+                continue;
+            }
+
+            try {
+                const params = {};
+                route.params.forEach((name, i) => {
+                    params[name] = decodeParam(match[i + 1]);
+                });
+                return await route.handler({ request, env, ctx, url, params });
+            } catch (error) {
+                if (error instanceof ApiError) return error.toResponse();
+                console.error(`Error handling ${request.method} ${url.pathname}:`, error);
+                return errorResponse(500, 'internal_error', error.message);
+            }
+        }
+
+        if (allowed.length > 0) {
+            return errorResponse(405, 'method_not_allowed', `Use ${allowed.join(' or ')} for ${url.pathname}`, {
+                headers: { 'Allow': allowed.join(', ') }
+            });
+        }
+        return errorResponse(404, 'not_found', 'Not found');
+    }
+
+    /**
+     * Build an OpenAPI 3.1 document describing the registered routes
+     * @param {Object} info - OpenAPI info object (title, version, description)
+     */
+    openApi(info) {
+        const paths = {};
+
+        for (const { method, path, spec } of this.routes) {
+            const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+            const parameters = [
+                ...compilePath(path).params.map(name => ({
+                    name, in: 'path', required: true, schema: { type: 'string' }
+                })),
+                ...Object.entries(spec.query || {}).map(([name, schema]) => ({
+                    name, in: 'query', required: false, schema
+                }))
+            ];
+
+            const responses = {};
+            for (const [status, description] of Object.entries(spec.responses || { 200: 'OK' })) {
+                responses[status] = Number(status) < 400
+                    ? { description }
+                    : { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+            }
+
+            paths[openApiPath] ??= {};
+            paths[openApiPath][method.toLowerCase()] = {
+                summary: spec.summary,
+                ...(spec.description && { description: spec.description }),
+                ...(parameters.length > 0 && { parameters }),
+                ...(spec.body && {
+                    requestBody: { required: true, content: { 'application/json': { schema: spec.body } } }
+                }),
+                ...(spec.admin && { security: [{ adminToken: [] }] }),
+                responses
+            };
+        }
+
+        return {
+            openapi: '3.1.0',
+            info,
+            paths,
+            components: {
+                schemas: { Error: ERROR_SCHEMA },
+                securitySchemes: {
+                    adminToken: { type: 'http', scheme: 'bearer', description: 'The ADMIN_TOKEN secret' }
+                }
+            }
+        };
+    }
+}
+
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        throw new ApiError(400, 'invalid_request', 'Malformed URL parameter');
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * JSON Schemas for the worker's request bodies and query parameters
+ *
+ * Used both to validate requests (validation.js) and to describe them in
+ * the OpenAPI document served at /api/openapi.json.
+ */
+
+export const MAX_ARTISTS_PER_REQUEST = 50;
+export const MAX_ARTIST_NAME_LENGTH = 200;
+
+export const ARTIST_NAME = {
+    type: 'string',
+    minLength: 1,
+    maxLength: MAX_ARTIST_NAME_LENGTH,
+    pattern: '\\S',
+    patternMessage: 'must not be blank',
+    description: 'Artist name as shown on Spotify'
+};
+
+export const SPOTIFY_ID = {
+    type: 'string',
+    pattern: '^[A-Za-z0-9]{1,64}$',
+    patternMessage: 'must be a Spotify artist id',
+    description: 'Spotify artist id, used to find the MusicBrainz artist directly'
+};
+
+export const GENRES = {
+    type: 'array',
+    maxItems: 20,
+    items: { type: 'string', maxLength: 100 },
+    description: 'Spotify genres, used as hints for which languages to search Wikipedia and Wikidata in'
+};
+
+export const ARTIST_ENTRY = {
+    anyOf: [
+        ARTIST_NAME,
+        {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: ARTIST_NAME,
+                spotifyId: { ...SPOTIFY_ID, type: ['string', 'null'] },
+                genres: GENRES
+            }
+        }
+    ]
+};
+
+export const ARTISTS_REQUEST = {
+    type: 'object',
+    required: ['artists'],
+    properties: {
+        artists: {
+            type: 'array',
+            minItems: 1,
+            items: ARTIST_ENTRY,
+            description: `Artist names or { name, spotifyId, genres } objects. Only the first ${MAX_ARTISTS_PER_REQUEST} are looked up.`
+        }
+    }
+};
+
+export const EXPLAIN_REQUEST = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: ARTIST_NAME,
+        spotifyId: { ...SPOTIFY_ID, type: ['string', 'null'] },
+        genres: GENRES
+    }
+};
+
+export const OVERRIDE_REQUEST = {
+    type: 'object',
+    required: ['location_name'],
+    properties: {
+        location_name: { ...ARTIST_NAME, description: 'Place name shown in the app' },
+        location_coord: {
+            type: ['array', 'null'],
+            minItems: 2,
+            maxItems: 2,
+            prefixItems: [
+                { type: 'number', minimum: -90, maximum: 90 },
+                { type: 'number', minimum: -180, maximum: 180 }
+            ],
+            description: '[lat, lon]; geocoded from location_name when omitted'
+        }
+    }
+};
+
+export const CACHE_DELETE_REQUEST = {
+    type: 'object',
+    properties: {
+        artists: { type: 'array', minItems: 1, items: ARTIST_NAME },
+        lookups: {
+            type: 'boolean',
+            description: 'Also delete every cached area, capital and geocode lookup'
+        }
+    }
+};
@@ -0,0 +1,75 @@
+/**
+ * Typed NDJSON events for /api/artists and job streams
+ *
+ * Every line has a `type`:
+ *   result   - { artist, ...location } for a resolved (or Unknown) artist
+ *   deferred - { artist, deferred: true, retry_after } for an artist over the
+ *              rate limit; send it again after retry_after seconds
+ *   error    - { artist, code, error, retryable } when a lookup failed.
+ *              Nothing is cached, so the client can retry just that artist.
+ *              Errors without an artist mean the stream itself failed.
+ *   progress - { completed, total } artists answered so far (results and
+ *              errors) out of those being looked up
+ *   done     - { total, results, errors, deferred, cached, duration_ms },
+ *              always the last line of a finished stream
+ * Result and deferred lines keep the fields they had before events were
+ * typed, so older clients can still read them.
+ */
+
+export function resultEvent(artist, result) {
+    return { type: 'result', artist, ...result };
+}
+
+export function deferredEvent(artist, retryAfter) {
+    return { type: 'deferred', artist, deferred: true, retry_after: retryAfter };
+}
+
+/**
+ * Report a failed lookup
+ * @param {string|null} artist - Artist name, or null when the stream failed
+ * @param {Error} error - What went wrong
+ */
+export function errorEvent(artist, error) {
+    return {
+        type: 'error',
+        ...(artist !== null && { artist }),
+        code: artist !== null ? 'resolve_failed' : 'stream_failed',
+        error: error.message,
+        retryable: true
+    };
+}
+
+/**
+ * Count result, error and deferred lines
+ */
+export function tallyEvents(lines) {
+    const tally = { results: 0, errors: 0, deferred: 0 };
+    for (const line of lines) {
+        if (line.type === 'result') tally.results++;
+        else if (line.type === 'error' && line.artist) tally.errors++;
+        else if (line.type === 'deferred') tally.deferred++;
+    }
+    return tally;
+}
+
+/**
+ * Build a progress event
+ * @param {Array} lines - Lines sent so far
+ * @param {number} total - Artists in the request
+ */
+export function progressEvent(lines, total) {
+    const { results, errors, deferred } = tallyEvents(lines);
+    return { type: 'progress', completed: results + errors, total: total - deferred };
+}
+
+/**
+ * Build the closing done event
+ * @param {Array} lines - Every line sent
+ * @param {number} total - Artists in the request
+ * @param {Object} options
+ * @param {number} options.cached - Results answered from overrides or cache
+ * @param {number} options.durationMs - Time taken
+ */
+export function doneEvent(lines, total, { cached, durationMs }) {
+    return { type: 'done', total, ...tallyEvents(lines), cached, duration_ms: durationMs };
+}
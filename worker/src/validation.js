@@ -0,0 +1,130 @@
+/**
+ * Request validation against JSON Schema
+ *
+ * Supports the subset of JSON Schema the worker's request schemas use:
+ * type, enum, anyOf, string length and pattern, number bounds, array
+ * items/prefixItems and length, object properties and required. The same
+ * schemas are published in the OpenAPI document.
+ */
+
+import { ApiError } from './http.js';
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {string} path - Where the value sits, for error messages
+ * @returns {Array} { path, message } for each problem (empty when valid)
+ */
+export function validate(schema, value, path = 'body') {
+    if (schema.anyOf) {
+        const branches = schema.anyOf.map(branch => validate(branch, value, path));
+        if (branches.some(errors => errors.length === 0)) return [];
+        // Report the branch of the right type, which is the one the client meant
+        const meant = schema.anyOf.findIndex(branch => [].concat(branch.type).some(t => matchesType(value, t)));
+        return meant !== -1
+            ? branches[meant]
+            : [{ path, message: `must be ${schema.anyOf.map(b => b.type).join(' or ')}` }];
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            return [{ path, message: `must be ${types.join(' or ')}` }];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ path, message: `must be one of ${schema.enum.join(', ')}` }];
+    }
+
+    const errors = [];
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ path, message: schema.patternMessage || `must match ${schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be at least ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be at most ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        }
+        value.forEach((item, i) => {
+            const itemSchema = schema.prefixItems?.[i] || schema.items;
+            if (itemSchema) errors.push(...validate(itemSchema, item, `${path}[${i}]`));
+        });
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        }
+        for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                errors.push(...validate(propSchema, value[key], `${path}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Throw a 400 ApiError if a value doesn't match its schema
+ */
+export function assertValid(schema, value, path = 'body') {
+    const details = validate(schema, value, path);
+    if (details.length > 0) {
+        throw new ApiError(400, 'invalid_request', `Invalid request: ${details[0].path} ${details[0].message}`, {
+            extra: { details }
+        });
+    }
+}
+
+/**
+ * Parse a JSON request body and validate it
+ * @returns {Promise<Object>} The parsed body
+ */
+export async function readJsonBody(request, schema) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        throw new ApiError(400, 'invalid_json', 'Request body must be valid JSON');
+    }
+    assertValid(schema, body);
+    return body;
+}